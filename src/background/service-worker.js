@@ -19,46 +19,341 @@ try {
 const NOTION_API_VERSION = '2022-06-28';
 const NOTION_API_BASE = 'https://api.notion.com/v1';
 
+// Notion allows an average of three requests per second per integration
+const NOTION_MIN_REQUEST_INTERVAL_MS = 334;
+const NOTION_MAX_RETRIES = 5;
+const NOTION_RETRY_BASE_DELAY_MS = 1000;
+const NOTION_RETRY_MAX_DELAY_MS = 30000;
+
+// 429 and 503 responses are rejected before Notion applies the request, so
+// they are safe to retry for every method
+const RETRYABLE_STATUS_CODES = new Set([429, 503]);
+
+// A gateway may give up while Notion still applies the request, so these are
+// retried like network failures, only for IDEMPOTENT_METHODS
+const GATEWAY_STATUS_CODES = new Set([502, 504]);
+
+// Notion request limits, enforced by the block validator
+const NOTION_MAX_TEXT_LENGTH = 2000;
+const NOTION_MAX_URL_LENGTH = 2000;
+const NOTION_MAX_EQUATION_LENGTH = 1000;
+const NOTION_MAX_ARRAY_LENGTH = 100;
+const NOTION_MAX_PAYLOAD_BLOCKS = 1000;
+// Notion rejects bodies over 500 KB; leave room for the rest of the request
+const NOTION_MAX_PAYLOAD_BYTES = 450 * 1024;
+
+// Notion accepts files up to 20 MB in a single-part upload
+const NOTION_MAX_SINGLE_PART_UPLOAD_BYTES = 20 * 1024 * 1024;
+
+// Media links from Confluence media macros that Notion plays as a video block;
+// other known providers, and anything unknown, become embed blocks
+const MEDIA_PROVIDERS = [
+  { name: 'YouTube', pattern: /^https?:\/\/(www\.|m\.)?(youtube\.com|youtube-nocookie\.com|youtu\.be)\//i, type: 'video' },
+  { name: 'Video file', pattern: /\.(mp4|mov|webm|ogv|m4v)([?#]|$)/i, type: 'video' },
+  { name: 'Vimeo', pattern: /^https?:\/\/(www\.|player\.)?vimeo\.com\//i, type: 'embed' },
+  { name: 'Loom', pattern: /^https?:\/\/(www\.)?loom\.com\/(share|embed)\//i, type: 'embed' },
+  { name: 'Figma', pattern: /^https?:\/\/(www\.)?figma\.com\//i, type: 'embed' },
+  { name: 'Google Docs', pattern: /^https?:\/\/(docs|drive)\.google\.com\//i, type: 'embed' },
+];
+
+// Notion annotation colors with a reference color each; Confluence text
+// colors and highlights map to the nearest one (see resolveTextColors)
+const NOTION_COLOR_REFERENCES = {
+  gray: '#787774',
+  brown: '#9f6b53',
+  orange: '#d9730d',
+  yellow: '#cb912f',
+  green: '#448361',
+  blue: '#337ea9',
+  purple: '#9065b0',
+  pink: '#c14c8a',
+  red: '#d44c47',
+};
+
+// Confluence palette colors whose hue falls between two Notion colors
+const CONFLUENCE_COLOR_MAPPINGS = {
+  '#7f5f01': 'yellow',
+  '#d3f1a7': 'green',
+  '#c6edfb': 'blue',
+  '#fdd0ec': 'pink',
+};
+
+// Network failures may happen after Notion applied the request, so only
+// methods that can be repeated without side effects are retried
+const IDEMPOTENT_METHODS = new Set(['GET', 'DELETE']);
+
+// Error code assumed when a failed response carries no Notion error code
+const NOTION_STATUS_ERROR_CODES = {
+  400: 'validation_error',
+  401: 'unauthorized',
+  403: 'restricted_resource',
+  404: 'object_not_found',
+  409: 'conflict_error',
+  429: 'rate_limited',
+  500: 'internal_server_error',
+  502: 'service_unavailable',
+  503: 'service_unavailable',
+  504: 'gateway_timeout',
+};
+
+// What the user can do about each kind of failure, shown in the error view
+const NOTION_ERROR_REMEDIATIONS = {
+  unauthorized: 'Check the Notion API token in Settings. It may be mistyped, or the integration was deleted or its token regenerated.',
+  restricted_resource: 'Your integration is not allowed to do this. Share the page with the integration and check that it has the read, update and insert content capabilities.',
+  object_not_found: 'Share the parent page with your integration (••• menu → Connections in Notion) and check that the page ID in Settings is correct.',
+  validation_error: 'Notion rejected part of the content. Run a Dry Run to inspect the blocks that are sent, and report the Confluence page if this keeps happening.',
+  rate_limited: 'Notion is limiting requests from your integration. Wait a minute and try again.',
+  conflict_error: 'The page was changed by someone else during the import. Try again.',
+  internal_server_error: 'Notion ran into an error. Try again in a few minutes; an interrupted import can be resumed.',
+  service_unavailable: 'Notion is temporarily unavailable. Try again in a few minutes; an interrupted import can be resumed.',
+  gateway_timeout: 'Notion took too long to respond. Try again; very large pages may need a few attempts, and an interrupted import can be resumed.',
+  network_error: 'Check your internet connection and try again.',
+};
+
 // ============================================================================
 // Notion API Client
 // ============================================================================
+// Request scheduler state: every Notion call runs through a single queue
+let notionQueueTail = Promise.resolve();
+let lastNotionRequestAt = 0;
+let notionBlockedUntil = 0;
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Rejects with a cancellation error when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a task through the Notion request queue
+ * Tasks run one at a time, spaced to the documented rate limit and held back
+ * while a Retry-After window from a previous 429 is still open
+ * @param {Function} task - Async function performing a single fetch
+ * @param {AbortSignal} [signal] - Stops waiting for the task's turn when aborted
+ * @returns {Promise<any>} Task result
+ */
+function scheduleNotionRequest(task, signal) {
+  const run = notionQueueTail.then(async () => {
+    const readyAt = Math.max(lastNotionRequestAt + NOTION_MIN_REQUEST_INTERVAL_MS, notionBlockedUntil);
+    const wait = readyAt - Date.now();
+    if (wait > 0) {
+      await sleep(wait, signal);
+    } else if (signal?.aborted) {
+      throw createCancelledError();
+    }
+    lastNotionRequestAt = Date.now();
+    return task();
+  });
+  
+  // Keep the queue alive even if this task fails
+  notionQueueTail = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Calculate the delay before the next retry attempt
+ * Honors Retry-After when Notion sends it, however long; otherwise uses
+ * exponential backoff with jitter, capped at NOTION_RETRY_MAX_DELAY_MS
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Response|null} response - Failed response, if any
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, response) {
+  const retryAfter = response?.headers?.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+      return seconds * 1000;
+    }
+    const retryDate = Date.parse(retryAfter);
+    if (!Number.isNaN(retryDate)) {
+      return Math.max(retryDate - Date.now(), 0);
+    }
+  }
+  
+  const exponential = Math.min(NOTION_RETRY_BASE_DELAY_MS * 2 ** attempt, NOTION_RETRY_MAX_DELAY_MS);
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Error a failed Notion request is thrown as
+ * Validation messages name the offending field, e.g.
+ * "body.children[3].paragraph.rich_text[0].text.content.length should be ≤ `2000`",
+ * which is kept as the block path.
+ */
+class NotionApiError extends Error {
+  /**
+   * @param {Object} details - Failure details
+   * @param {string} details.code - Notion error code (or network_error)
+   * @param {number} [details.status] - HTTP status
+   * @param {string} details.message - Error message
+   * @param {string} details.method - HTTP method
+   * @param {string} details.endpoint - API endpoint
+   */
+  constructor({ code, status, message, method, endpoint }) {
+    super(message);
+    this.name = 'NotionApiError';
+    this.code = code;
+    this.status = status;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.blockPath = message.match(/\bbody\.((?:children|properties)[\w.[\]]*[\w\]])/)?.[1] || null;
+    this.remediation = NOTION_ERROR_REMEDIATIONS[code] || null;
+  }
+}
+
+/**
+ * Describe a Notion error for the popup
+ * @param {Error} error - Any error
+ * @returns {Object|null} { code, status, method, endpoint, blockPath, remediation },
+ *   null for errors that did not come from the Notion API
+ */
+function describeNotionError(error) {
+  if (!(error instanceof NotionApiError)) {
+    return null;
+  }
+  
+  const { code, status, method, endpoint, blockPath, remediation } = error;
+  return { code, status, method, endpoint, blockPath, remediation };
+}
+
 /**
  * Make a request to Notion API
+ * Requests are serialized through the rate-limit queue; 429 and 503 responses
+ * are retried with backoff, gateway errors only for idempotent methods, and the
+ * wait is reported to the popup
  * @param {string} endpoint - API endpoint
  * @param {string} method - HTTP method
- * @param {Object} body - Request body
+ * @param {Object|FormData} body - Request body (FormData is sent as multipart)
  * @param {string} apiToken - Notion API token
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Aborts the request, see importRequestOptions;
+ *   only requests made with a signal report their retries as import progress
  * @returns {Promise<Object>} API response
  */
-async function notionRequest(endpoint, method, body, apiToken) {
+async function notionRequest(endpoint, method, body, apiToken, { signal } = {}) {
   const url = `${NOTION_API_BASE}${endpoint}`;
+  const isMultipart = body instanceof FormData;
+  
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
   
   const options = {
     method,
+    signal,
     headers: {
       'Authorization': `Bearer ${apiToken}`,
-      'Content-Type': 'application/json',
       'Notion-Version': NOTION_API_VERSION,
     },
   };
   
-  if (body && method !== 'GET') {
-    options.body = JSON.stringify(body);
+  // fetch sets the multipart boundary itself
+  if (!isMultipart) {
+    options.headers['Content-Type'] = 'application/json';
   }
   
-  const response = await fetch(url, options);
-  const data = await response.json();
-  
-  if (!response.ok) {
-    throw new Error(data.message || `API error: ${response.status}`);
+  if (body && method !== 'GET') {
+    options.body = isMultipart ? body : JSON.stringify(body);
   }
   
-  return data;
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await scheduleNotionRequest(() => fetch(url, options), signal);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw createCancelledError();
+      }
+      
+      // Network failure - only repeat requests that cannot be applied twice
+      if (!IDEMPOTENT_METHODS.has(method) || attempt >= NOTION_MAX_RETRIES) {
+        throw new NotionApiError({
+          code: 'network_error',
+          message: `Network error calling Notion (${method} ${endpoint}): ${error.message}`,
+          method,
+          endpoint,
+        });
+      }
+      const delay = getRetryDelay(attempt, null);
+      console.warn(`Confluence2Notion: Network error, retrying ${method} ${endpoint} in ${delay}ms`, error);
+      if (signal) {
+        sendProgressUpdate(currentProgress.percent, `Connection problem, retrying in ${Math.ceil(delay / 1000)}s...`);
+      }
+      await sleep(delay, signal);
+      continue;
+    }
+    
+    // Error responses from gateways are not always JSON
+    const data = await response.json().catch(() => ({}));
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
+    
+    if (response.ok) {
+      return data;
+    }
+    
+    const retryable = RETRYABLE_STATUS_CODES.has(response.status) ||
+      (GATEWAY_STATUS_CODES.has(response.status) && IDEMPOTENT_METHODS.has(method));
+    if (retryable && attempt < NOTION_MAX_RETRIES) {
+      const delay = getRetryDelay(attempt, response);
+      const seconds = Math.ceil(delay / 1000);
+      
+      if (response.status === 429) {
+        // Hold back every queued request, not just this one
+        notionBlockedUntil = Math.max(notionBlockedUntil, Date.now() + delay);
+      }
+      if (signal) {
+        sendProgressUpdate(currentProgress.percent, response.status === 429
+          ? `Rate limited by Notion, waiting ${seconds}s...`
+          : `Notion is temporarily unavailable (${response.status}), retrying in ${seconds}s...`);
+      }
+      
+      console.warn(`Confluence2Notion: ${method} ${endpoint} failed with ${response.status}, retry ${attempt + 1}/${NOTION_MAX_RETRIES} in ${delay}ms`);
+      await sleep(delay, signal);
+      continue;
+    }
+    
+    throw new NotionApiError({
+      code: data.code || NOTION_STATUS_ERROR_CODES[response.status] || (response.status >= 500 ? 'internal_server_error' : 'unknown'),
+      status: response.status,
+      message: data.message || `API error: ${response.status}`,
+      method,
+      endpoint,
+    });
+  }
 }
 
 // ============================================================================
 // Markdown to Notion Blocks Converter
 // ============================================================================
+// Markdown each top-level block was converted from. Blocks restored from a
+// saved import job are not in here; their text is used instead.
+const blockSources = new WeakMap();
+
+// Markdown level (1-6) of every heading block, before Notion's three levels
+const headingLevels = new WeakMap();
+
 /**
  * Convert Markdown text to Notion blocks
  * @param {string} markdown - Markdown content
@@ -75,8 +370,21 @@ function markdownToNotionBlocks(markdown) {
   
   console.log('Confluence2Notion: Total lines:', lines.length);
   
+  // Remember the Markdown lines each block came from, for failure callouts
+  let sourceStartBlock = 0;
+  let sourceStartLine = 0;
+  const recordBlockSources = (endLine) => {
+    const source = lines.slice(sourceStartLine, endLine).join('\n').trim();
+    for (let b = sourceStartBlock; b < blocks.length; b++) {
+      blockSources.set(blocks[b], source);
+    }
+    sourceStartBlock = blocks.length;
+    sourceStartLine = endLine;
+  };
+  
   let i = 0;
   while (i < lines.length) {
+    recordBlockSources(i);
     const line = lines[i];
     
     // Skip empty lines (but preserve structure)
@@ -134,6 +442,48 @@ function markdownToNotionBlocks(markdown) {
       continue;
     }
     
+    // Display math: "$$ x $$" on one line, or "$$" ... "$$" lines around a
+    // block without blank lines, so prose mentioning dollars stays text. A
+    // line such as "$$a$$ and $$b$$" holds two inline formulas, not one block
+    const singleLineMath = trimmedLine.match(/^\$\$(.+?)\$\$$/);
+    if (singleLineMath && !singleLineMath[1].includes('$$')) {
+      blocks.push(createEquationBlock(singleLineMath[1]));
+      i++;
+      continue;
+    }
+    
+    if (trimmedLine === '$$') {
+      const mathLines = [];
+      let end = i + 1;
+      while (end < lines.length && lines[end].trim() !== '$$' && lines[end].trim() !== '') {
+        mathLines.push(lines[end]);
+        end++;
+      }
+      
+      // Without a closing $$ the line is ordinary text
+      if (end < lines.length && lines[end].trim() === '$$' && mathLines.length > 0) {
+        blocks.push(createEquationBlock(mathLines.join('\n')));
+        i = end + 1;
+        continue;
+      }
+    }
+    
+    // Containers: ":::toggle Title" ... ":::" (Confluence expand macros) and
+    // ":::columns" holding ":::column" containers (Confluence page layouts)
+    if (trimmedLine.startsWith(':::')) {
+      const container = parseContainer(lines, i);
+      if (container?.kind === 'toggle') {
+        blocks.push(createToggleBlock(container.argument, markdownToNotionBlocks(container.body)));
+        i = container.nextIndex;
+        continue;
+      }
+      if (container?.kind === 'columns') {
+        blocks.push(...parseColumnLayout(container.body));
+        i = container.nextIndex;
+        continue;
+      }
+    }
+    
     // Headings (h1-h6)
     const headingMatch = line.match(/^(#{1,6})\s+(.+)$/);
     if (headingMatch) {
@@ -144,6 +494,21 @@ function markdownToNotionBlocks(markdown) {
       continue;
     }
     
+    // Media macro marker: "::embed URL"
+    const embedMatch = trimmedLine.match(/^::embed\s+(\S+)$/);
+    if (embedMatch) {
+      blocks.push(createMediaBlock(embedMatch[1]));
+      i++;
+      continue;
+    }
+    
+    // Table of contents marker (Confluence TOC macro)
+    if (trimmedLine === '[TOC]') {
+      blocks.push(createTableOfContentsBlock());
+      i++;
+      continue;
+    }
+    
     // Horizontal rule
     if (line.match(/^(-{3,}|_{3,}|\*{3,})$/)) {
       blocks.push(createDividerBlock());
@@ -169,12 +534,12 @@ function markdownToNotionBlocks(markdown) {
     }
     
     // Blockquotes (check for callout pattern)
-    if (line.startsWith('> ')) {
+    if (/^>( |$)/.test(line)) {
       const quoteData = parseBlockquote(lines, i);
       if (quoteData.isCallout) {
-        blocks.push(createCalloutBlock(quoteData.content, quoteData.emoji, quoteData.type));
+        blocks.push(createCalloutBlock(quoteData.content, quoteData.emoji, quoteData.type, quoteData.children));
       } else {
-        blocks.push(createQuoteBlock(quoteData.content));
+        blocks.push(createQuoteBlock(quoteData.content, quoteData.children));
       }
       i = quoteData.nextIndex;
       continue;
@@ -202,6 +567,14 @@ function markdownToNotionBlocks(markdown) {
       continue;
     }
     
+    // A URL on its own line (bare, <autolink> or a link showing its own URL)
+    const bareUrl = getStandaloneUrl(trimmedLine);
+    if (bareUrl) {
+      blocks.push(createBookmarkBlock(bareUrl));
+      i++;
+      continue;
+    }
+    
     // Check for flowchart/process flow patterns (lines with arrows)
     // These should be preserved as paragraphs but with special formatting
     const hasArrow = line.includes('→') || line.includes('->');
@@ -224,6 +597,7 @@ function markdownToNotionBlocks(markdown) {
     blocks.push(createParagraphBlock(line));
     i++;
   }
+  recordBlockSources(lines.length);
   
   return blocks;
 }
@@ -231,9 +605,78 @@ function markdownToNotionBlocks(markdown) {
 // ============================================================================
 // Block Creators
 // ============================================================================
+// Unicode characters for superscript and subscript text; anything else in a
+// <sup> or <sub> becomes an inline equation
+const SUPERSCRIPT_CHARACTERS = {
+  0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+  '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', ' ': ' ',
+  a: 'ᵃ', b: 'ᵇ', c: 'ᶜ', d: 'ᵈ', e: 'ᵉ', f: 'ᶠ', g: 'ᵍ', h: 'ʰ', i: 'ⁱ', j: 'ʲ', k: 'ᵏ', l: 'ˡ', m: 'ᵐ',
+  n: 'ⁿ', o: 'ᵒ', p: 'ᵖ', r: 'ʳ', s: 'ˢ', t: 'ᵗ', u: 'ᵘ', v: 'ᵛ', w: 'ʷ', x: 'ˣ', y: 'ʸ', z: 'ᶻ',
+  A: 'ᴬ', B: 'ᴮ', D: 'ᴰ', E: 'ᴱ', G: 'ᴳ', H: 'ᴴ', I: 'ᴵ', J: 'ᴶ', K: 'ᴷ', L: 'ᴸ', M: 'ᴹ',
+  N: 'ᴺ', O: 'ᴼ', P: 'ᴾ', R: 'ᴿ', T: 'ᵀ', U: 'ᵁ', V: 'ⱽ', W: 'ᵂ',
+};
+
+const SUBSCRIPT_CHARACTERS = {
+  0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+  '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎', ' ': ' ',
+  a: 'ₐ', e: 'ₑ', h: 'ₕ', i: 'ᵢ', j: 'ⱼ', k: 'ₖ', l: 'ₗ', m: 'ₘ', n: 'ₙ', o: 'ₒ',
+  p: 'ₚ', r: 'ᵣ', s: 'ₛ', t: 'ₜ', u: 'ᵤ', v: 'ᵥ', x: 'ₓ',
+};
+
+/**
+ * Convert superscript or subscript Markdown to rich text
+ * Text is written with Unicode super/subscript characters, keeping links and
+ * other formatting; if any character has none, the whole text becomes an
+ * inline equation instead.
+ * @param {string} content - Inline Markdown inside <sup> or <sub>
+ * @param {string} type - 'superscript' or 'subscript'
+ * @returns {Array} Notion rich text segments
+ */
+function createScriptRichText(content, type) {
+  const characters = type === 'superscript' ? SUPERSCRIPT_CHARACTERS : SUBSCRIPT_CHARACTERS;
+  const segments = parseInlineMarkdown(content);
+  
+  const convertible = segments.every(segment =>
+    segment.type === 'text' && [...segment.text.content].every(character => characters[character])
+  );
+  if (convertible) {
+    return segments.map(segment => ({
+      ...segment,
+      text: { ...segment.text, content: [...segment.text.content].map(character => characters[character]).join('') },
+    }));
+  }
+  
+  const text = segments
+    .map(segment => segment.text?.content ?? segment.equation?.expression ?? segment.mention?.user?.name ?? '')
+    .join('');
+  const latexText = text.replace(/[\\{}$&#^_%~]/g, character => ({
+    '\\': '\\textbackslash{}',
+    '^': '\\textasciicircum{}',
+    '~': '\\textasciitilde{}',
+  })[character] || `\\${character}`);
+  const marker = type === 'superscript' ? '^' : '_';
+  return [{ type: 'equation', equation: { expression: `{}${marker}{\\text{${latexText}}}` } }];
+}
+
+// Markdown escapes (a backslash before ASCII punctuation, as Turndown writes
+// them). Escaped parentheses are left out of the mask because \( \) delimit
+// inline math
+const ESCAPED_CHARACTER_PATTERN = /\\([!-/:-@[-`{-~])/g;
+const ESCAPED_MARKER_PATTERN = /\\[!-'*-/:-@[-`{-~]/g;
+
+/**
+ * Remove Markdown escapes from text
+ * @param {string} text - Markdown text
+ * @returns {string} Text as it should be displayed
+ */
+function unescapeMarkdown(text) {
+  return text.replace(ESCAPED_CHARACTER_PATTERN, '$1');
+}
+
 /**
  * Parse inline Markdown to Notion rich text
- * Supports: bold, italic, strikethrough, code, links
+ * Supports: bold, italic, strikethrough, underline, code, links, inline
+ * math, colors, superscript and subscript, user mentions and dates
  * @param {string} text - Text with inline Markdown
  * @returns {Array} Notion rich text array
  */
@@ -251,33 +694,68 @@ function parseInlineMarkdown(text) {
   const patterns = [
     // Code (backticks) - highest priority, can't contain other formatting
     { regex: /`([^`]+)`/g, type: 'code' },
+    // Inline math \( ... \) - kept verbatim as an equation
+    { regex: /\\\((.+?)\\\)/g, type: 'equation' },
     // Bold (double asterisk or underscore)
     { regex: /\*\*([^*]+)\*\*/g, type: 'bold' },
     { regex: /__(?!_)([^_]+)__/g, type: 'bold' },
     // Strikethrough
     { regex: /~~([^~]+)~~/g, type: 'strikethrough' },
+    // Underline, superscript and subscript are kept as HTML tags
+    { regex: /<u>(.+?)<\/u>/g, type: 'underline' },
+    { regex: /<sup>(.+?)<\/sup>/g, type: 'superscript' },
+    { regex: /<sub>(.+?)<\/sub>/g, type: 'subscript' },
     // Italic (single asterisk or underscore, but not if followed by asterisk/underscore)
     { regex: /(?<!\*)\*(?!\*)([^*]+?)\*(?!\*)/g, type: 'italic' },
     { regex: /(?<!_)_(?!_)([^_]+?)_(?!_)/g, type: 'italic' },
     // Links
     { regex: /\[([^\]]+)\]\(([^)]+)\)/g, type: 'link' },
+    // Text color and highlight: {color:#de350b}text{/color:#de350b},
+    // {highlight:#fff0b3}text{/highlight:#fff0b3}; closing on the value lets
+    // other colors nest inside
+    { regex: /\{color:([^}\s]+)\}(.+?)\{\/color:\1\}/g, type: 'color' },
+    { regex: /\{highlight:([^}\s]+)\}(.+?)\{\/highlight:\1\}/g, type: 'highlight' },
+    // User mentions: {user:jdoe,8a7f80}@Jane Doe{user}
+    { regex: /\{user:([^}\s]*)\}(.+?)\{user\}/g, type: 'mention' },
+    // Dates: {date:2024-03-01}1 Mar 2024{date}
+    { regex: /\{date:([^}\s]+)\}(.+?)\{date\}/g, type: 'date' },
   ];
   
   // Find all matches with their positions
+  // Code and math are verbatim: once found they are masked out, so markers
+  // inside them cannot open or close other formatting. Escaped markers
+  // outside code are masked too
   const matches = [];
+  let maskedText = text;
   patterns.forEach(({ regex, type }) => {
+    const search = new RegExp(regex.source, 'gd');
+    const found = [];
     let match;
-    regex.lastIndex = 0; // Reset regex
-    while ((match = regex.exec(text)) !== null) {
-      matches.push({
+    while ((match = search.exec(maskedText)) !== null) {
+      // Colors, mentions and dates lead with their value; everything else with its content
+      const [contentGroup, valueGroup] = ['color', 'highlight', 'mention', 'date'].includes(type) ? [2, 1] : [1, 2];
+      found.push({
         start: match.index,
         end: match.index + match[0].length,
         type,
-        content: match[1] || match[0],
-        link: match[2], // For links
-        fullMatch: match[0],
+        content: text.slice(...match.indices[contentGroup]),
+        link: type === 'link' ? text.slice(...match.indices[valueGroup]) : undefined, // For links
+        color: type === 'color' || type === 'highlight' ? text.slice(...match.indices[valueGroup]) : undefined,
+        userIds: type === 'mention' ? text.slice(...match.indices[valueGroup]).split(',').filter(Boolean) : undefined,
+        date: type === 'date' ? text.slice(...match.indices[valueGroup]) : undefined,
+        fullMatch: text.slice(match.index, match.index + match[0].length),
+      });
+    }
+    matches.push(...found);
+    
+    if (type === 'code' || type === 'equation') {
+      found.forEach(({ start, end }) => {
+        maskedText = maskedText.slice(0, start) + '\0'.repeat(end - start) + maskedText.slice(end);
       });
     }
+    if (type === 'code') {
+      maskedText = maskedText.replace(ESCAPED_MARKER_PATTERN, '\0\0');
+    }
   });
   
   // Sort matches by position
@@ -312,10 +790,44 @@ function parseInlineMarkdown(text) {
     if (match.start > lastIndex) {
       const plainText = text.slice(lastIndex, match.start);
       if (plainText) {
-        richText.push(createRichTextSegment(plainText));
+        richText.push(createRichTextSegment(unescapeMarkdown(plainText)));
       }
     }
     
+    // Inline equations are their own kind of rich text
+    if (match.type === 'equation') {
+      richText.push({ type: 'equation', equation: { expression: match.content.trim() } });
+      lastIndex = match.end;
+      return;
+    }
+    
+    // Mentions are resolved to Notion people by resolveUserMentions
+    if (match.type === 'mention') {
+      richText.push({
+        type: 'mention',
+        mention: { type: 'user', user: { id: null, confluenceIds: match.userIds, name: unescapeMarkdown(match.content) } },
+      });
+      lastIndex = match.end;
+      return;
+    }
+    
+    // Dates become date mentions; anything Notion cannot read stays text
+    if (match.type === 'date') {
+      const isDate = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(match.date) &&
+        !Number.isNaN(new Date(match.date).getTime());
+      richText.push(isDate
+        ? { type: 'mention', mention: { type: 'date', date: { start: match.date } } }
+        : createRichTextSegment(unescapeMarkdown(match.content)));
+      lastIndex = match.end;
+      return;
+    }
+    
+    if (match.type === 'superscript' || match.type === 'subscript') {
+      richText.push(...createScriptRichText(match.content, match.type));
+      lastIndex = match.end;
+      return;
+    }
+    
     // Add formatted text
     const annotations = {};
     let content = match.content;
@@ -327,8 +839,15 @@ function parseInlineMarkdown(text) {
       annotations.italic = true;
     } else if (match.type === 'strikethrough') {
       annotations.strikethrough = true;
+    } else if (match.type === 'underline') {
+      annotations.underline = true;
     } else if (match.type === 'code') {
       annotations.code = true;
+    } else if (match.type === 'color') {
+      // Still the Confluence color; resolveTextColors maps it to Notion's
+      annotations.color = match.color.toLowerCase();
+    } else if (match.type === 'highlight') {
+      annotations.color = `${match.color.toLowerCase()}_background`;
     } else if (match.type === 'link') {
       // Validate URL before creating link
       const validUrl = validateAndCleanUrl(match.link);
@@ -341,14 +860,14 @@ function parseInlineMarkdown(text) {
       }
     }
     
-    // For code and links, don't parse nested formatting
-    if (match.type === 'code' || match.type === 'link') {
-      // If link is invalid, render as plain text (link will be null)
-      richText.push(createRichTextSegment(content, annotations, link || null));
+    // For code, don't parse nested formatting
+    if (match.type === 'code') {
+      richText.push(createRichTextSegment(content, annotations, null));
     } else {
-      // For other types, recursively parse nested formatting
+      // For other types, recursively parse nested formatting (an invalid
+      // link leaves its text without a link)
       // But avoid infinite recursion by checking if content has formatting
-      const hasNestedFormatting = /(\*\*|__|\*|_|~~|`|\[)/.test(content);
+      const hasNestedFormatting = /(\*\*|__|\*|_|~~|`|\[|\\\(|\{|<)/.test(content);
       
       if (hasNestedFormatting) {
         const nested = parseInlineMarkdown(content);
@@ -359,6 +878,12 @@ function parseInlineMarkdown(text) {
             Object.assign(mergedAnnotations, segment.annotations);
           }
           
+          // Equations and mentions take annotations but no text or link
+          if (segment.type === 'equation' || segment.type === 'mention') {
+            richText.push({ ...segment, annotations: mergedAnnotations });
+            return;
+          }
+          
           // Validate link URL if present
           let finalLink = link || segment.text?.link;
           if (finalLink && finalLink.url) {
@@ -381,7 +906,7 @@ function parseInlineMarkdown(text) {
         });
       } else {
         // No nested formatting, just apply current annotations
-        richText.push(createRichTextSegment(content, annotations, link));
+        richText.push(createRichTextSegment(unescapeMarkdown(content), annotations, link));
       }
     }
     
@@ -392,7 +917,7 @@ function parseInlineMarkdown(text) {
   if (lastIndex < textLength) {
     const plainText = text.slice(lastIndex);
     if (plainText) {
-      richText.push(createRichTextSegment(plainText));
+      richText.push(createRichTextSegment(unescapeMarkdown(plainText)));
     }
   }
   
@@ -509,14 +1034,17 @@ function createParagraphBlock(text) {
 }
 
 function createHeadingBlock(level, text) {
-  // Notion supports heading_1 through heading_3
+  // Notion supports heading_1 through heading_3; normalizeHeadings decides
+  // what deeper levels become
   const type = `heading_${Math.min(Math.max(level, 1), 3)}`;
-  return {
+  const block = {
     type,
     [type]: {
       rich_text: parseInlineMarkdown(text),
     },
   };
+  headingLevels.set(block, level);
+  return block;
 }
 
 function createBulletedListItem(text) {
@@ -549,13 +1077,17 @@ function createTodoBlock(text, checked = false) {
   };
 }
 
-function createQuoteBlock(text) {
-  return {
+function createQuoteBlock(text, children = []) {
+  const block = {
     type: 'quote',
     quote: {
       rich_text: parseInlineMarkdown(text),
     },
   };
+  if (children.length > 0) {
+    block.quote.children = children;
+  }
+  return block;
 }
 
 function createCodeBlock(code, language = 'plain text') {
@@ -566,50 +1098,24 @@ function createCodeBlock(code, language = 'plain text') {
   // Normalize line endings (CRLF -> LF, CR -> LF)
   const codeString = String(code || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
   
-  // Split long code blocks (Notion has limits)
-  const MAX_CODE_LENGTH = 2000;
-  if (codeString.length <= MAX_CODE_LENGTH) {
-    const block = {
-      type: 'code',
-      code: {
-        rich_text: [{ type: 'text', text: { content: codeString } }],
-        language: normalizedLang,
-      },
-    };
-    
-    // Debug: log final code block
-    console.log('Confluence2Notion: Created code block', {
+  // Long code is split into several rich text segments by validateAndRepairBlocks
+  const block = {
+    type: 'code',
+    code: {
+      rich_text: [{ type: 'text', text: { content: codeString } }],
       language: normalizedLang,
-      contentLength: codeString.length,
-      contentPreview: codeString.substring(0, 100),
-      originalLanguage: language
-    });
-    
-    return block;
-  }
-  
-  // For very long code blocks, we'll create multiple blocks
-  // Note: This is a limitation - Notion doesn't support splitting code blocks
-  // So we'll truncate with a note
-  const truncated = codeString.slice(0, MAX_CODE_LENGTH - 100) + '\n\n... (truncated, original code too long) ...';
+    },
+  };
   
-  console.warn('Confluence2Notion: Code block truncated', {
-    originalLength: codeString.length,
-    truncatedLength: truncated.length,
+  // Debug: log final code block
+  console.log('Confluence2Notion: Created code block', {
     language: normalizedLang,
+    contentLength: codeString.length,
+    contentPreview: codeString.substring(0, 100),
     originalLanguage: language
   });
   
-  return {
-    type: 'code',
-    code: {
-      rich_text: [{ 
-        type: 'text', 
-        text: { content: truncated } 
-      }],
-      language: normalizedLang,
-    },
-  };
+  return block;
 }
 
 /**
@@ -776,6 +1282,114 @@ function createDividerBlock() {
   };
 }
 
+/**
+ * Get the URL of a line that consists of nothing but a link
+ * @param {string} line - Trimmed Markdown line
+ * @returns {string|null} Valid URL, or null if the line has other content
+ */
+function getStandaloneUrl(line) {
+  const bare = line.match(/^<?(https?:\/\/[^\s<>]+)>?$/);
+  if (bare) {
+    return validateAndCleanUrl(bare[1]);
+  }
+  
+  // Turndown escapes Markdown characters in the link text
+  const link = line.match(/^\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)$/);
+  if (link && link[1].replace(/\\(.)/g, '$1') === link[2]) {
+    return validateAndCleanUrl(link[2]);
+  }
+  
+  return null;
+}
+
+function createBookmarkBlock(url) {
+  return {
+    type: 'bookmark',
+    bookmark: {
+      url,
+      caption: [],
+    },
+  };
+}
+
+/**
+ * Create the block for a media macro link
+ * YouTube embed links are turned back into watch links, which Notion can play
+ * @param {string} url - Media URL
+ * @returns {Object} Notion video or embed block, or a paragraph for an invalid URL
+ */
+function createMediaBlock(url) {
+  let validUrl = validateAndCleanUrl(url);
+  if (!validUrl) {
+    console.warn('Confluence2Notion: Invalid media URL, keeping it as text:', url);
+    return createParagraphBlock(url);
+  }
+  
+  const youtubeEmbed = validUrl.match(/^https?:\/\/(?:www\.)?youtube(?:-nocookie)?\.com\/embed\/([\w-]+)/i);
+  if (youtubeEmbed) {
+    validUrl = `https://www.youtube.com/watch?v=${youtubeEmbed[1]}`;
+  }
+  
+  const provider = MEDIA_PROVIDERS.find(candidate => candidate.pattern.test(validUrl));
+  console.log('Confluence2Notion: Creating media block', { provider: provider?.name || 'unknown', url: validUrl });
+  
+  if (provider?.type === 'video') {
+    return {
+      type: 'video',
+      video: {
+        type: 'external',
+        external: { url: validUrl },
+      },
+    };
+  }
+  
+  return {
+    type: 'embed',
+    embed: { url: validUrl },
+  };
+}
+
+function createTableOfContentsBlock() {
+  return {
+    type: 'table_of_contents',
+    table_of_contents: {},
+  };
+}
+
+function createEquationBlock(expression) {
+  return {
+    type: 'equation',
+    equation: {
+      expression: expression.trim(),
+    },
+  };
+}
+
+function createColumnListBlock(columns) {
+  return {
+    type: 'column_list',
+    column_list: {
+      children: columns.map(children => ({
+        type: 'column',
+        column: { children },
+      })),
+    },
+  };
+}
+
+function createToggleBlock(title, children = []) {
+  const block = {
+    type: 'toggle',
+    toggle: {
+      rich_text: parseInlineMarkdown(title),
+    },
+  };
+  if (children.length > 0) {
+    block.toggle.children = children;
+  }
+  return block;
+}
+
 // ============================================================================
 // Table Parser
 // ============================================================================
@@ -961,27 +1575,44 @@ function createTableBlock(headers, rows) {
 // ============================================================================
 /**
  * Parse blockquote (may be a callout)
+ * The first paragraph becomes the text of the quote or callout; everything
+ * after it (more paragraphs, lists, tables, code, nested quotes) is converted
+ * recursively into child blocks.
  * @param {Array<string>} lines - All lines
  * @param {number} startIndex - Starting line index
- * @returns {Object} Blockquote data
+ * @returns {Object} Blockquote data { isCallout, content, emoji, type, children, nextIndex }
  */
 function parseBlockquote(lines, startIndex) {
   const quoteLines = [];
   let i = startIndex;
   
-  while (i < lines.length && lines[i].startsWith('> ')) {
+  // Blank lines inside the quote are a lone ">"
+  while (i < lines.length && /^>( |$)/.test(lines[i])) {
     quoteLines.push(lines[i].slice(2));
     i++;
   }
   
-  const content = quoteLines.join('\n').trim();
+  let content = quoteLines.join('\n').trim();
+  
+  // Check for callout pattern (emoji at start, optionally on a line of its own)
+  const calloutMatch = content.match(/^((?:[\u{1F300}-\u{1FAFF}]|[\u{2600}-\u{27BF}]|\u2139)\uFE0F?)[ \t]*/u);
+  if (calloutMatch) {
+    content = content.slice(calloutMatch[0].length).replace(/^\n+/, '');
+  }
   
-  // Check for callout pattern (emoji at start)
-  const calloutMatch = content.match(/^([\u{1F300}-\u{1F9FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}])\s*(.+)$/u);
+  // The leading lines up to the first blank line are the text, unless they
+  // are something other than plain paragraphs (a list, a table, ...)
+  const blankLine = content.search(/\n\s*\n/);
+  let text = blankLine === -1 ? content : content.slice(0, blankLine);
+  let rest = blankLine === -1 ? '' : content.slice(blankLine).trim();
+  if (text && !markdownToNotionBlocks(text).every(block => block.type === 'paragraph')) {
+    rest = content;
+    text = '';
+  }
+  const children = rest ? markdownToNotionBlocks(rest) : [];
   
   if (calloutMatch) {
     const emoji = calloutMatch[1];
-    const text = calloutMatch[2];
     
     // Determine callout type from emoji
     const calloutTypes = {
@@ -1002,13 +1633,15 @@ function parseBlockquote(lines, startIndex) {
       content: text,
       emoji,
       type,
+      children,
       nextIndex: i,
     };
   }
   
   return {
     isCallout: false,
-    content,
+    content: text,
+    children,
     nextIndex: i,
   };
 }
@@ -1018,9 +1651,10 @@ function parseBlockquote(lines, startIndex) {
  * @param {string} content - Callout content
  * @param {string} emoji - Emoji icon
  * @param {string} type - Callout type
+ * @param {Array} [children] - Blocks nested under the callout
  * @returns {Object} Notion callout block
  */
-function createCalloutBlock(content, emoji = 'ℹ️', type = 'info') {
+function createCalloutBlock(content, emoji = 'ℹ️', type = 'info', children = []) {
   const colors = {
     info: 'blue_background',
     warning: 'yellow_background',
@@ -1032,7 +1666,7 @@ function createCalloutBlock(content, emoji = 'ℹ️', type = 'info') {
     comment: 'gray_background',
   };
   
-  return {
+  const block = {
     type: 'callout',
     callout: {
       rich_text: parseInlineMarkdown(content),
@@ -1040,6 +1674,10 @@ function createCalloutBlock(content, emoji = 'ℹ️', type = 'info') {
       color: colors[type] || 'gray_background',
     },
   };
+  if (children.length > 0) {
+    block.callout.children = children;
+  }
+  return block;
 }
 
 // ============================================================================
@@ -1302,7 +1940,7 @@ function parseNestedList(lines, startIndex, listType) {
   }
   
   // Build truly nested structure using Notion's children property
-  // Notion API supports up to 2 levels of nesting when appending blocks
+  // Levels deeper than one request allows are appended by the uploader
   const nestedBlocks = buildNestedList(items, listType, baseIndent);
   
   console.log('Confluence2Notion: Built nested list structure', {
@@ -1319,7 +1957,8 @@ function parseNestedList(lines, startIndex, listType) {
 
 /**
  * Build truly nested list structure using Notion's children property
- * Notion API supports nested children when appending blocks (up to 2 levels deep)
+ * Nesting depth is unlimited here; detachDeepChildren splits levels that
+ * exceed a single request before upload
  * @param {Array<Object>} items - List items with indent info
  * @param {string} listType - 'bullet', 'number', or 'task'
  * @param {number} baseIndent - Base indentation level
@@ -1420,48 +2059,16 @@ function buildNestedList(items, listType, baseIndent) {
   }
   
   /**
-   * Flatten tree structure to a linear array with proper nesting
-   * Notion API: depth 0 and 1 can have children, depth 2 cannot
-   * 
-   * Structure:
-   * - depth 0 = Level 1 (top) - CAN have children
-   * - depth 1 = Level 2 - CAN have children  
-   * - depth 2 = Level 3 - CANNOT have children, but displays fine (no marker needed)
-   * - depth 3+ = Level 4+ - needs markers [ind4], [ind5]... (flattened after Level 3 parent)
+   * Convert tree nodes to list blocks, nesting children at every depth
    */
-  function flattenTreeToBlocks(nodes, depth, resultArray) {
+  function treeToBlocks(nodes, resultArray) {
     for (const node of nodes) {
-      let content = node.item.content;
-      
-      // Only add marker for depth >= 3 (Level 4+)
-      // depth 2 (Level 3) can display in Notion but cannot have children
-      if (depth >= 3) {
-        const level = depth + 1;
-        const marker = `[ind${level}]`;
-        content = `${marker} ${content}`;
-        console.log('Confluence2Notion: Adding indent marker', {
-          depth: depth,
-          level: level,
-          marker: marker,
-          content: content.substring(0, 50)
-        });
-      }
+      const block = createListItemBlock(node.item.content, node.item.checked);
       
-      const block = createListItemBlock(content, node.item.checked);
-      
-      if (depth < 2 && node.children.length > 0) {
-        // depth 0 and 1: can use Notion's native children
+      if (node.children.length > 0) {
         const blockType = block.type;
         block[blockType].children = [];
-        
-        // Recursively process children
-        flattenTreeToBlocks(node.children, depth + 1, block[blockType].children);
-      } else if (node.children.length > 0) {
-        // depth >= 2: cannot have children in Notion
-        // Add current block, then flatten its children after it
-        resultArray.push(block);
-        flattenTreeToBlocks(node.children, depth + 1, resultArray);
-        continue; // Skip the push at the end since we already added it
+        treeToBlocks(node.children, block[blockType].children);
       }
       
       resultArray.push(block);
@@ -1470,7 +2077,7 @@ function buildNestedList(items, listType, baseIndent) {
   
   // Convert all root nodes to blocks
   const blocks = [];
-  flattenTreeToBlocks(rootNodes, 0, blocks);
+  treeToBlocks(rootNodes, blocks);
   
   console.log('Confluence2Notion: Final nested list blocks', {
     inputItemCount: items.length,
@@ -1482,167 +2089,2542 @@ function buildNestedList(items, listType, baseIndent) {
 }
 
 // ============================================================================
-// Page Creation
+// Container Parser
 // ============================================================================
-// Store progress state for popup to poll
-let currentProgress = { percent: 0, status: '' };
-
 /**
- * Send progress update to popup
- * @param {number} percent - Progress percentage
- * @param {string} status - Status message
+ * Parse a container whose body becomes the children of a block
+ * Containers open with ":::kind argument" and close with ":::"; they may be
+ * nested, and ::: lines inside fenced code do not count.
+ * @param {Array<string>} lines - All lines
+ * @param {number} startIndex - Line with the opening marker
+ * @returns {Object|null} { kind, argument, body, nextIndex } or null if the line opens no container
  */
-function sendProgressUpdate(percent, status) {
-  currentProgress = { percent, status };
+function parseContainer(lines, startIndex) {
+  const openMatch = lines[startIndex].trim().match(/^:::(\w+)(?:\s+(.*))?$/);
+  if (!openMatch) {
+    return null;
+  }
   
-  // Store in chrome.storage for popup to read
-  chrome.storage.local.set({ 
-    progressUpdate: { 
-      percent, 
-      status, 
-      timestamp: Date.now() 
-    } 
-  }).catch(() => {
-    // Ignore errors
-  });
+  const bodyLines = [];
+  let depth = 1;
+  let fence = null;
+  let i = startIndex + 1;
   
-  // Also try to send message (in case popup is listening)
-  chrome.runtime.sendMessage({
-    type: 'PROGRESS_UPDATE',
-    percent,
-    status,
-  }).catch(() => {
-    // Ignore errors if no listener (popup might be closed)
-  });
+  for (; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    
+    if (fence) {
+      if (trimmed.startsWith(fence) && /^`+$/.test(trimmed)) {
+        fence = null;
+      }
+    } else if (trimmed.startsWith('```')) {
+      fence = trimmed.match(/^`+/)[0];
+    } else if (/^:::\w/.test(trimmed)) {
+      depth++;
+    } else if (trimmed === ':::') {
+      depth--;
+      if (depth === 0) {
+        break;
+      }
+    }
+    
+    bodyLines.push(lines[i]);
+  }
+  
+  // An unclosed container runs to the end of the document
+  return {
+    kind: openMatch[1],
+    argument: (openMatch[2] || '').trim(),
+    body: bodyLines.join('\n'),
+    nextIndex: i + 1,
+  };
 }
 
 /**
- * Create a page in Notion
+ * Check whether a block can be created inside a column
+ * Columns cannot hold another layout, and blocks that need their own children
+ * inline (tables) would be nested deeper than one request allows.
+ * @param {Object} block - Notion block
+ * @returns {boolean} True if the block fits in a column
+ */
+function canPlaceInColumn(block) {
+  return !INLINE_CHILDREN_DEPTH[block.type];
+}
+
+/**
+ * Convert the body of a ":::columns" container to a column list
+ * Falls back to the columns' blocks one after another when the layout has
+ * fewer than two columns, content outside a column, or a column holding
+ * content Notion does not accept there.
+ * @param {string} markdown - Container body
+ * @returns {Array} A column_list block, or the sequential fallback blocks
+ */
+function parseColumnLayout(markdown) {
+  const lines = markdown.split('\n');
+  const parts = [];
+  let looseLines = [];
+  
+  const flushLooseLines = () => {
+    if (looseLines.some(line => line.trim() !== '')) {
+      parts.push({ isColumn: false, blocks: markdownToNotionBlocks(looseLines.join('\n')) });
+    }
+    looseLines = [];
+  };
+  
+  let i = 0;
+  while (i < lines.length) {
+    const container = lines[i].trim().startsWith(':::') ? parseContainer(lines, i) : null;
+    if (container?.kind === 'column') {
+      flushLooseLines();
+      parts.push({ isColumn: true, blocks: markdownToNotionBlocks(container.body) });
+      i = container.nextIndex;
+      continue;
+    }
+    looseLines.push(lines[i]);
+    i++;
+  }
+  flushLooseLines();
+  
+  const columns = parts.filter(part => part.isColumn && part.blocks.length > 0);
+  const isSupported = columns.length >= 2 &&
+    columns.length === parts.length &&
+    columns.every(column => column.blocks.every(canPlaceInColumn));
+  
+  if (!isSupported) {
+    console.log('Confluence2Notion: Column layout not supported by Notion, adding its content in sequence', {
+      parts: parts.length,
+      columns: columns.length,
+    });
+    return parts.flatMap(part => part.blocks);
+  }
+  
+  return [createColumnListBlock(columns.map(column => column.blocks))];
+}
+
+// ============================================================================
+// Heading Normalizer
+// ============================================================================
+// What headings deeper than Notion's heading_3 become
+const DEEP_HEADING_STYLES = new Set(['heading', 'bold', 'toggle']);
+
+/**
+ * Rebase heading levels so the page's top heading becomes heading_1, then
+ * convert headings still deeper than level 3:
+ * - 'heading': a plain heading_3 (the default)
+ * - 'bold': a bold paragraph
+ * - 'toggle': a toggleable heading_3 holding its section, up to the next
+ *   heading of the same or a higher level
+ * Blocks are replaced in place; headings in nested children are included.
+ * @param {Array} blocks - Notion blocks from markdownToNotionBlocks
+ * @param {string} style - One of DEEP_HEADING_STYLES
+ * @returns {Array} The same array
+ */
+function normalizeHeadings(blocks, style = 'heading') {
+  if (!DEEP_HEADING_STYLES.has(style)) {
+    style = 'heading';
+  }
+  
+  // A page whose headings start at h2 should not leave heading_1 unused
+  let topLevel = Infinity;
+  const findTopLevel = (list) => list.forEach(block => {
+    if (headingLevels.has(block)) {
+      topLevel = Math.min(topLevel, headingLevels.get(block));
+    }
+    const children = block[block.type]?.children;
+    if (Array.isArray(children)) {
+      findTopLevel(children);
+    }
+  });
+  findTopLevel(blocks);
+  if (topLevel === Infinity) {
+    return blocks;
+  }
+  const levelOf = (block) => headingLevels.has(block) ? headingLevels.get(block) - topLevel + 1 : null;
+  
+  const normalize = (list) => {
+    for (let index = 0; index < list.length; index++) {
+      const block = list[index];
+      const level = levelOf(block);
+      
+      if (level === null) {
+        const children = block[block.type]?.children;
+        if (Array.isArray(children)) {
+          normalize(children);
+        }
+        continue;
+      }
+      
+      const richText = block[block.type].rich_text;
+      let replacement;
+      
+      if (level <= 3 || style === 'heading') {
+        const type = `heading_${Math.min(level, 3)}`;
+        replacement = { type, [type]: { rich_text: richText } };
+      } else if (style === 'bold') {
+        replacement = {
+          type: 'paragraph',
+          paragraph: {
+            rich_text: richText.map(segment => ({
+              ...segment,
+              annotations: { ...segment.annotations, bold: true },
+            })),
+          },
+        };
+      } else {
+        // The section ends at the next heading that is not deeper than this one
+        let end = index + 1;
+        while (end < list.length && !(levelOf(list[end]) !== null && levelOf(list[end]) <= level)) {
+          end++;
+        }
+        const section = list.splice(index + 1, end - index - 1);
+        normalize(section);
+        replacement = {
+          type: 'heading_3',
+          heading_3: {
+            rich_text: richText,
+            is_toggleable: true,
+            ...(section.length > 0 && { children: section }),
+          },
+        };
+        
+        // Failure callouts quote the whole section
+        if (blockSources.has(block)) {
+          const sources = [block, ...section].map(sectionBlock => blockSources.get(sectionBlock)).filter(Boolean);
+          blockSources.set(replacement, [...new Set(sources)].join('\n\n'));
+        }
+      }
+      
+      if (!blockSources.has(replacement) && blockSources.has(block)) {
+        blockSources.set(replacement, blockSources.get(block));
+      }
+      list[index] = replacement;
+    }
+  };
+  normalize(blocks);
+  
+  return blocks;
+}
+
+// ============================================================================
+// Text Colors
+// ============================================================================
+const NOTION_TEXT_COLORS = new Set(['default', ...Object.keys(NOTION_COLOR_REFERENCES)]);
+
+/**
+ * Convert a hex color to hue (degrees), saturation and lightness (0-1)
+ * @param {string} hex - Color as #rgb or #rrggbb
+ * @returns {{h: number, s: number, l: number}|null} HSL, or null if not a hex color
+ */
+function hexToHsl(hex) {
+  let digits = hex.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)?.[1];
+  if (!digits) {
+    return null;
+  }
+  if (digits.length === 3) {
+    digits = digits.replace(/./g, '$&$&');
+  }
+  
+  const [r, g, b] = [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) {
+    return { h: 0, s: 0, l };
+  }
+  
+  const d = max - min;
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) {
+    h = ((g - b) / d + 6) % 6;
+  } else if (max === g) {
+    h = (b - r) / d + 2;
+  } else {
+    h = (r - g) / d + 4;
+  }
+  return { h: h * 60, s, l };
+}
+
+/**
+ * Find the Notion color for a Confluence text color or highlight
+ * User mappings and CONFLUENCE_COLOR_MAPPINGS are used as they are; other
+ * colors go to gray or brown when muted, else to the mapped or reference color
+ * with the closest hue. Near-black text and near-white highlights get no color.
+ * @param {string} color - Hex color or Notion color name
+ * @param {boolean} background - Whether the color is a highlight
+ * @param {Object} palette - Hex color to Notion color mappings
+ * @returns {string|null} Notion annotation color, or null for none
+ */
+function findNotionColor(color, background, palette) {
+  const withSuffix = (name) => {
+    if (name === 'default') return null;
+    if (!background || name.endsWith('_background')) return name;
+    return `${name}_background`;
+  };
+  
+  const normalized = color.length === 4 ? color.replace(/[0-9a-f]/gi, '$&$&') : color;
+  if (palette[normalized]) {
+    return withSuffix(palette[normalized]);
+  }
+  if (NOTION_TEXT_COLORS.has(normalized)) {
+    return withSuffix(normalized);
+  }
+  
+  const hsl = hexToHsl(normalized);
+  if (!hsl) {
+    return null;
+  }
+  
+  // Confluence sets its default text color and white backgrounds explicitly
+  if (background ? hsl.l > 0.96 : hsl.l < 0.2) {
+    return null;
+  }
+  if (hsl.s < 0.15) {
+    return withSuffix(!background && hsl.l < 0.3 ? 'default' : 'gray');
+  }
+  // Brown shares its hue with red and orange; it is the muted one
+  if (hsl.h >= 10 && hsl.h <= 50 && hsl.s < 0.5) {
+    return withSuffix('brown');
+  }
+  
+  // Otherwise the closest hue wins, among mapped and reference colors
+  let nearest = null;
+  let nearestDistance = Infinity;
+  const references = Object.entries(NOTION_COLOR_REFERENCES)
+    .filter(([name]) => name !== 'gray' && name !== 'brown')
+    .map(([name, hex]) => [hex, name]);
+  [...Object.entries(palette), ...references].forEach(([hex, name]) => {
+    const reference = hexToHsl(hex);
+    if (!reference || reference.s < 0.15) return;
+    const distance = Math.min(Math.abs(hsl.h - reference.h), 360 - Math.abs(hsl.h - reference.h));
+    if (distance < nearestDistance) {
+      nearest = name;
+      nearestDistance = distance;
+    }
+  });
+  
+  return nearest ? withSuffix(nearest) : null;
+}
+
+/**
+ * Call back with every rich text array of the blocks and their children
+ * (rich text, captions and table cells)
+ * @param {Array} blocks - Notion blocks
+ * @param {Function} callback - Receives each rich text array
+ */
+function forEachRichText(blocks, callback) {
+  blocks.forEach(block => {
+    const data = block[block.type];
+    if (!data) return;
+    [data.rich_text, data.caption, ...(data.cells || [])].forEach(richText => {
+      if (Array.isArray(richText)) {
+        callback(richText);
+      }
+    });
+    if (Array.isArray(data.children)) {
+      forEachRichText(data.children, callback);
+    }
+  });
+}
+
+/**
+ * Replace the Confluence colors parseInlineMarkdown leaves in rich text
+ * annotations with Notion annotation colors, in place
+ * @param {Array} blocks - Notion blocks
+ * @param {Object} [userPalette] - Hex color to Notion color mappings from the settings
+ */
+function resolveTextColors(blocks, userPalette = {}) {
+  const palette = { ...CONFLUENCE_COLOR_MAPPINGS };
+  Object.entries(userPalette || {}).forEach(([hex, name]) => {
+    palette[hex.toLowerCase()] = name;
+  });
+  
+  const resolveRichText = (richText) => richText.forEach(segment => {
+    const color = segment.annotations?.color;
+    if (!color || NOTION_TEXT_COLORS.has(color.replace(/_background$/, ''))) return;
+    
+    const background = color.endsWith('_background');
+    const notionColor = findNotionColor(color.replace(/_background$/, ''), background, palette);
+    if (notionColor) {
+      segment.annotations.color = notionColor;
+    } else {
+      delete segment.annotations.color;
+      if (Object.keys(segment.annotations).length === 0) {
+        delete segment.annotations;
+      }
+    }
+  });
+  
+  forEachRichText(blocks, resolveRichText);
+}
+
+// ============================================================================
+// Import Progress Protocol
+// ============================================================================
+// The popup connects a port with this name to follow imports. On ATTACH it
+// receives a snapshot of the current job's event log, then every new event.
+const PROGRESS_PORT_NAME = 'import-progress';
+const PROGRESS_LOG_KEY = 'importProgressLog';
+const MAX_PROGRESS_EVENTS = 200;
+
+// Events are written to storage at most this often; job state changes at once
+const PROGRESS_LOG_SAVE_INTERVAL_MS = 1000;
+
+// Latest stage, used by the request client to keep the percentage when it reports waits
+let currentProgress = { percent: 0, status: '' };
+
+// Event log of the current (or last) job: { jobId, kind, title, state, acknowledged, events }
+let progressLog = null;
+let progressLogSaveTimer = null;
+const progressPorts = new Set();
+
+/**
+ * Persist the event log so a restarted worker or reopened popup can replay it
+ * Dry-run reports are left out: finished dry runs are never replayed.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.immediate] - Write now instead of with the next batch of events
+ */
+function saveProgressLog({ immediate = false } = {}) {
+  if (!immediate) {
+    if (!progressLogSaveTimer) {
+      progressLogSaveTimer = setTimeout(() => saveProgressLog({ immediate: true }), PROGRESS_LOG_SAVE_INTERVAL_MS);
+    }
+    return;
+  }
+  
+  clearTimeout(progressLogSaveTimer);
+  progressLogSaveTimer = null;
+  if (!progressLog) {
+    return;
+  }
+  
+  const stored = {
+    ...progressLog,
+    events: progressLog.events.map(event => (event.result?.dryRun
+      ? { ...event, result: { ...event.result, dryRun: null } }
+      : event)),
+  };
+  chrome.storage.local.set({ [PROGRESS_LOG_KEY]: stored }).catch(() => {
+    // Ignore errors
+  });
+}
+
+/**
+ * Get the current event log, loading it from storage after a worker restart
+ * @returns {Promise<Object|null>} Event log
+ */
+async function getProgressLog() {
+  if (!progressLog) {
+    const result = await chrome.storage.local.get(PROGRESS_LOG_KEY);
+    progressLog = progressLog || result[PROGRESS_LOG_KEY] || null;
+  }
+  return progressLog;
+}
+
+/**
+ * Start a new event log for a job
+ * @param {string} kind - 'import', 'resume' or 'dry-run'
+ * @param {string|null} title - Page title
+ * @param {string} [jobId] - ID chosen by the popup that started the job
+ */
+function startProgressLog(kind, title, jobId) {
+  progressLog = {
+    jobId: jobId || `${kind}-${Date.now()}`,
+    kind,
+    title: title || '',
+    state: 'running',
+    acknowledged: false,
+    startedAt: Date.now(),
+    events: [],
+  };
+  currentProgress = { percent: 0, status: '' };
+  saveProgressLog({ immediate: true });
+}
+
+/**
+ * Append an event to the running job's log and broadcast it to attached popups
+ * Events outside a job (such as request retries while searching) are dropped.
+ * @param {Object} event - Event { type, ... }
+ */
+function emitImportEvent(event) {
+  if (progressLog?.state !== 'running') {
+    return;
+  }
+  
+  const entry = {
+    ...event,
+    jobId: progressLog.jobId,
+    seq: (progressLog.events[progressLog.events.length - 1]?.seq || 0) + 1,
+    timestamp: Date.now(),
+  };
+  
+  progressLog.events.push(entry);
+  if (progressLog.events.length > MAX_PROGRESS_EVENTS) {
+    progressLog.events.splice(0, progressLog.events.length - MAX_PROGRESS_EVENTS);
+  }
+  saveProgressLog();
+  
+  progressPorts.forEach(port => {
+    try {
+      port.postMessage({ type: 'event', event: entry });
+    } catch (error) {
+      progressPorts.delete(port);
+    }
+  });
+}
+
+/**
+ * Report the current stage of the job
+ * @param {number} percent - Progress percentage
+ * @param {string} status - Status message
+ */
+function sendProgressUpdate(percent, status) {
+  currentProgress = { percent, status };
+  emitImportEvent({ type: 'stage', percent, status });
+}
+
+/**
+ * Report that a chunk of blocks is being uploaded
+ * @param {number} chunk - 1-based chunk number
+ * @param {number} totalChunks - Number of chunks
+ * @param {number} percent - Progress percentage
+ */
+function sendChunkProgress(chunk, totalChunks, percent) {
+  currentProgress = { percent, status: `Uploading blocks ${chunk}/${totalChunks}...` };
+  emitImportEvent({ type: 'chunk', chunk, totalChunks, percent, status: currentProgress.status });
+}
+
+/**
+ * Report something the user should know about that does not stop the job
+ * @param {string} message - Warning message
+ */
+function sendImportWarning(message) {
+  emitImportEvent({ type: 'warning', message });
+}
+
+/**
+ * Run a job with its own event log, ending it with a done or error event
+ * @param {string} kind - 'import', 'resume' or 'dry-run'
+ * @param {string|null} title - Page title
+ * @param {Function} task - Async function returning { success, ... }
+ * @param {Object} [options] - Options
+ * @param {string} [options.jobId] - ID the popup follows the job's events by
+ * @returns {Promise<Object>} Result of the task
+ */
+async function trackImportJob(kind, title, task, { jobId } = {}) {
+  // Keep the running job's log intact; its popup may re-attach to it
+  if (importAbortController) {
+    return {
+      success: false,
+      error: 'Another import is still running. Wait for it to finish or cancel it first.',
+    };
+  }
+  
+  startProgressLog(kind, title, jobId);
+  
+  let result;
+  try {
+    result = await task();
+  } catch (error) {
+    result = { success: false, error: error.message || String(error), notionError: describeNotionError(error) };
+  }
+  
+  if (result.success) {
+    emitImportEvent({ type: 'done', result });
+  } else {
+    emitImportEvent({ type: 'error', error: result.error, cancelled: result.cancelled === true, result });
+  }
+  progressLog.state = result.success ? 'done' : 'error';
+  saveProgressLog({ immediate: true });
+  
+  return result;
+}
+
+/**
+ * Mark a job that was running when the worker stopped as interrupted
+ * @returns {Promise<void>}
+ */
+async function recoverProgressLog() {
+  const result = await chrome.storage.local.get(PROGRESS_LOG_KEY);
+  const stored = result[PROGRESS_LOG_KEY];
+  
+  // Skip when a job started by this worker has already replaced the stored log
+  if (!progressLog && stored?.state === 'running') {
+    progressLog = stored;
+    emitImportEvent({
+      type: 'error',
+      error: 'The import was interrupted when the browser stopped the extension',
+      result: { success: false },
+    });
+    progressLog.state = 'error';
+    saveProgressLog({ immediate: true });
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== PROGRESS_PORT_NAME) {
+    return;
+  }
+  
+  progressPorts.add(port);
+  port.onDisconnect.addListener(() => progressPorts.delete(port));
+  
+  port.onMessage.addListener(async (message) => {
+    if (message.type === 'ATTACH') {
+      const log = await getProgressLog();
+      port.postMessage({ type: 'snapshot', log });
+    }
+    
+    if (message.type === 'ACKNOWLEDGE') {
+      const log = await getProgressLog();
+      if (log && log.jobId === message.jobId) {
+        log.acknowledged = true;
+        saveProgressLog({ immediate: true });
+      }
+    }
+  });
+});
+
+// ============================================================================
+// Page Creation
+// ============================================================================
+/**
+ * Convert Markdown into the block list for a page
+ * @param {string} markdown - Markdown content
+ * @param {string|null} sourceUrl - Confluence URL for the source link callout
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.deepHeadingStyle] - What headings below level 3 become (see normalizeHeadings)
+ * @param {Object} [options.colorPalette] - User color mappings (see resolveTextColors)
+ * @param {Function} [options.resolveUser] - Notion user id for a mention (see createUserResolver)
+ * @returns {{blocks: Array, repairs: Array<Object>}} Notion blocks and the validator's repairs
+ */
+function buildPageBlocks(markdown, sourceUrl, { deepHeadingStyle, colorPalette, resolveUser } = {}) {
+  sendProgressUpdate(60, 'Converting Markdown to Notion blocks...');
+  
+  // Convert markdown to Notion blocks
+  let blocks = markdownToNotionBlocks(markdown || '');
+  
+  // Ensure blocks is always an array
+  if (!blocks || !Array.isArray(blocks)) {
+    console.warn('Confluence2Notion: markdownToNotionBlocks returned invalid result, using empty array');
+    blocks = [];
+  }
+  
+  normalizeHeadings(blocks, deepHeadingStyle);
+  resolveTextColors(blocks, colorPalette);
+  resolveUserMentions(blocks, resolveUser);
+  
+  // If no blocks, add a placeholder paragraph
+  if (blocks.length === 0) {
+    console.warn('Confluence2Notion: No blocks generated, adding placeholder');
+    blocks.push({
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [{ type: 'text', text: { content: '(Content could not be converted)' } }]
+      }
+    });
+  }
+  
+  // Bring every block within Notion's limits before anything is sent
+  const repairs = validateAndRepairBlocks(blocks);
+  if (repairs.length > 0) {
+    console.warn(`Confluence2Notion: Adjusted ${repairs.length} block(s) to fit Notion limits`, repairs);
+    sendImportWarning(`Adjusted ${repairs.length} block(s) to fit Notion limits`);
+  }
+  
+  sendProgressUpdate(65, `Generated ${blocks.length} blocks`);
+  
+  // Add source link if requested
+  if (sourceUrl) {
+    blocks.unshift({
+      type: 'callout',
+      callout: {
+        rich_text: [{
+          type: 'text',
+          text: {
+            content: 'Imported from Confluence: ',
+          },
+        }, {
+          type: 'text',
+          text: {
+            content: sourceUrl,
+            link: { url: sourceUrl },
+          },
+        }],
+        icon: { emoji: '📄' },
+        color: 'gray_background',
+      },
+    });
+  }
+  
+  return { blocks, repairs };
+}
+
+/**
+ * Create a page in Notion
  * @param {Object} params - Page creation parameters
  * @returns {Promise<Object>} Created page info
  */
-async function createNotionPage({ title, markdown, parentPageId, apiToken, sourceUrl }) {
-  console.log('Confluence2Notion Background: Starting page creation', { title, markdownLength: markdown?.length, parentPageId });
-  sendProgressUpdate(60, 'Converting Markdown to Notion blocks...');
+async function createNotionPage({ title, markdown, parentPageId, apiToken, sourceUrl, confluencePageKey, targetType, properties, uploadImages, deepHeadingStyle, colorPalette, resolveUser }) {
+  console.log('Confluence2Notion Background: Starting page creation', { title, markdownLength: markdown?.length, parentPageId, targetType });
+  
+  const { blocks, repairs } = buildPageBlocks(markdown, sourceUrl, { deepHeadingStyle, colorPalette, resolveUser });
+  const imageUploads = uploadImages ? await uploadImageBlocks(blocks, apiToken) : null;
+  
+  // The first request-sized chunk goes out with the page itself
+  const [initialBlocks = [], ...otherChunks] = splitIntoRequestChunks(blocks);
+  const remainingBlocks = otherChunks.flat();
+  
+  sendProgressUpdate(70, 'Creating page in Notion...');
+  
+  // Create the page with initial blocks
+  const { payload: initialPayload, deferred: initialDeferred } = detachDeepChildren(initialBlocks);
+  const pageData = {
+    parent: targetType === 'database' ? { database_id: parentPageId } : { page_id: parentPageId },
+    properties: properties || {
+      title: {
+        title: [{ text: { content: title } }],
+      },
+    },
+    children: initialPayload,
+  };
+  
+  // If Notion rejects one of the initial blocks, create the page empty and
+  // append them with per-block recovery instead. Creating is not aborted by a
+  // cancel: the page could be created without us learning its ID, so it is
+  // left to finish and the cancel takes effect right after
+  let page;
+  let initialBlocksRejected = false;
+  try {
+    page = await notionRequest('/pages', 'POST', pageData, apiToken);
+  } catch (error) {
+    if (!isBlockRejection(error) || initialPayload.length === 0) {
+      throw error;
+    }
+    console.warn('Confluence2Notion: Notion rejected the initial blocks, creating the page without them:', error.message);
+    page = await notionRequest('/pages', 'POST', { ...pageData, children: [] }, apiToken);
+    initialBlocksRejected = true;
+  }
+  
+  importCreatedPage = { id: page.id, url: page.url, title, apiToken, confluencePageKey };
+  throwIfImportCancelled();
+  sendProgressUpdate(80, 'Page created, uploading content...');
+  
+  // Remember the page right away so a re-import after a failed upload
+  // updates it instead of creating another copy
+  if (confluencePageKey) {
+    await savePageMapping(confluencePageKey, {
+      notionPageId: page.id,
+      notionPageUrl: page.url,
+      title,
+    });
+  }
+  
+  const failures = [];
+  
+  if (initialBlocksRejected) {
+    await appendBlocksToPage(page.id, initialBlocks, apiToken, failures);
+  } else if (initialDeferred.length > 0) {
+    // Page creation does not return block ids, so look them up for deep nesting
+    const topLevelIds = await listBlockChildIds(page.id, apiToken);
+    await appendDeferredChildren(topLevelIds, initialDeferred, apiToken, failures);
+  }
+  
+  // Append remaining blocks if any
+  if (remainingBlocks.length > 0) {
+    failures.push(...await startImportJob(page, title, remainingBlocks, apiToken));
+  }
+  
+  sendProgressUpdate(95, 'Finalizing...');
+  
+  return {
+    pageId: page.id,
+    pageUrl: page.url,
+    imageUploads,
+    repairs,
+    failures,
+  };
+}
+
+/**
+ * Replace the content of a previously imported page
+ * Keeps the page itself (URL, comments, backlinks) and any child pages or
+ * databases. The new blocks are written before the old ones are archived, so
+ * a failed or cancelled upload never leaves the page without its content
+ * @param {Object} params - Page update parameters
+ * @returns {Promise<Object>} Updated page info
+ */
+async function updateNotionPage({ pageId, title, markdown, apiToken, sourceUrl, properties, uploadImages, deepHeadingStyle, colorPalette, resolveUser }) {
+  console.log('Confluence2Notion Background: Starting page update', { title, markdownLength: markdown?.length, pageId });
+  
+  const { blocks, repairs } = buildPageBlocks(markdown, sourceUrl, { deepHeadingStyle, colorPalette, resolveUser });
+  const imageUploads = uploadImages ? await uploadImageBlocks(blocks, apiToken) : null;
+  
+  sendProgressUpdate(70, 'Reading previous content...');
+  
+  const blocksToRemove = await listReplaceableBlocks(pageId, apiToken);
+  
+  // The title property always has the id "title", also in databases
+  const page = await notionRequest(`/pages/${pageId}`, 'PATCH', {
+    properties: properties || {
+      title: {
+        title: [{ text: { content: title } }],
+      },
+    },
+  }, apiToken, importRequestOptions());
+  
+  sendProgressUpdate(80, 'Uploading new content...');
+  
+  const failures = await startImportJob(page, title, blocks, apiToken, {
+    replacedBlockIds: blocksToRemove.map(block => block.id),
+  });
+  
+  sendProgressUpdate(95, 'Finalizing...');
+  
+  return {
+    pageId: page.id,
+    pageUrl: page.url,
+    imageUploads,
+    repairs,
+    failures,
+  };
+}
+
+/**
+ * Get a previously imported page if it can still be updated
+ * @param {string} pageId - Notion page ID
+ * @param {string} apiToken - API token
+ * @returns {Promise<Object|null>} The page, or null if it is gone or archived
+ */
+async function getUpdatablePage(pageId, apiToken) {
+  try {
+    const page = await notionRequest(`/pages/${pageId}`, 'GET', null, apiToken, importRequestOptions());
+    return page.archived || page.in_trash ? null : page;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// ============================================================================
+// Database Targets
+// ============================================================================
+// Cached workspace users, used to resolve people properties
+let notionUsersCache = null;
+
+/**
+ * Read a database's title and property schema
+ * @param {string} databaseId - Database ID
+ * @param {string} apiToken - API token
+ * @param {Object} [options] - Request options, see notionRequest
+ * @returns {Promise<Object>} Schema { id, title, url, properties: [{ id, name, type, options }] }
+ */
+async function getDatabaseSchema(databaseId, apiToken, options) {
+  const database = await notionRequest(`/databases/${databaseId}`, 'GET', null, apiToken, options);
+  
+  return {
+    id: database.id,
+    title: (database.title || []).map(text => text.plain_text).join('') || 'Untitled',
+    url: database.url,
+    properties: Object.values(database.properties || {}).map(property => ({
+      id: property.id,
+      name: property.name,
+      type: property.type,
+      options: property[property.type]?.options?.map(option => option.name),
+    })),
+  };
+}
+
+/**
+ * List the people in the workspace (handles pagination)
+ * @param {string} apiToken - API token
+ * @returns {Promise<Array<Object>>} Notion user objects of type person
+ */
+async function listNotionUsers(apiToken) {
+  if (notionUsersCache?.apiToken === apiToken) {
+    return notionUsersCache.users;
+  }
+  
+  const users = [];
+  let cursor;
+  
+  do {
+    const query = cursor ? `?page_size=100&start_cursor=${encodeURIComponent(cursor)}` : '?page_size=100';
+    const response = await notionRequest(`/users${query}`, 'GET', null, apiToken);
+    users.push(...(response.results || []).filter(user => user.type === 'person'));
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor);
+  
+  notionUsersCache = { apiToken, users };
+  return users;
+}
+
+/**
+ * Find the Notion user matching a Confluence author by email or name
+ * @param {Object} author - Author { name, username, email }
+ * @param {string} apiToken - API token
+ * @returns {Promise<Object|null>} Notion user or null
+ */
+async function findNotionUser(author, apiToken) {
+  const users = await listNotionUsers(apiToken);
+  const email = author.email?.toLowerCase();
+  const name = author.name?.toLowerCase();
+  
+  return users.find(user => email && user.person?.email?.toLowerCase() === email) ||
+         users.find(user => name && user.name?.toLowerCase() === name) ||
+         null;
+}
+
+/**
+ * Read a Confluence metadata field
+ * @param {string} field - Field key
+ * @param {Object} metadata - Page metadata from the parser
+ * @returns {*} Field value (string, array, author object) or null
+ */
+function getMetadataField(field, metadata) {
+  switch (field) {
+    case 'spaceKey': return metadata.space;
+    case 'spaceName': return metadata.spaceName;
+    case 'pageId': return metadata.pageId;
+    case 'sourceUrl': return metadata.url;
+    case 'author': return metadata.author;
+    case 'lastModified': return metadata.lastModified;
+    case 'labels': return metadata.labels?.length ? metadata.labels : null;
+    default: return null;
+  }
+}
+
+/**
+ * Convert a metadata value into a Notion property value
+ * @param {string} type - Property type
+ * @param {*} value - Metadata value
+ * @param {string} apiToken - API token
+ * @returns {Promise<Object|null>} Property value or null if not representable
+ */
+async function toPropertyValue(type, value, apiToken) {
+  const text = Array.isArray(value) ? value.join(', ') : (value?.name ?? String(value));
+  
+  switch (type) {
+    case 'title':
+      return { title: [{ text: { content: text.slice(0, 2000) } }] };
+    case 'rich_text':
+      return { rich_text: [{ text: { content: text.slice(0, 2000) } }] };
+    case 'select':
+      // Select option names cannot contain commas
+      return { select: { name: text.replace(/,/g, ' ').slice(0, 100) } };
+    case 'multi_select': {
+      const names = Array.isArray(value) ? value : [text];
+      return { multi_select: names.map(name => ({ name: String(name).replace(/,/g, ' ').slice(0, 100) })) };
+    }
+    case 'url':
+      return validateAndCleanUrl(text) ? { url: text } : null;
+    case 'number': {
+      const number = Number(text);
+      return Number.isFinite(number) ? { number } : null;
+    }
+    case 'date': {
+      const date = new Date(text);
+      return Number.isNaN(date.getTime()) ? null : { date: { start: date.toISOString() } };
+    }
+    case 'people': {
+      const author = typeof value === 'object' && !Array.isArray(value) ? value : { name: text };
+      const user = await findNotionUser(author, apiToken);
+      return user ? { people: [{ id: user.id }] } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the properties of a new database entry
+ * @param {Object} params - Build parameters
+ * @param {Object} params.schema - Database schema from getDatabaseSchema
+ * @param {Object} params.propertyMapping - Confluence field -> property name
+ * @param {Object} params.metadata - Page metadata from the parser
+ * @param {string} params.title - Page title
+ * @param {string} params.apiToken - API token
+ * @returns {Promise<Object>} Notion properties object
+ */
+async function buildDatabaseProperties({ schema, propertyMapping, metadata, title, apiToken }) {
+  const titleProperty = schema.properties.find(property => property.type === 'title');
+  if (!titleProperty) {
+    throw new Error(`Database "${schema.title}" has no title property`);
+  }
+  
+  const properties = {
+    [titleProperty.name]: await toPropertyValue('title', title, apiToken),
+  };
+  
+  for (const [field, propertyName] of Object.entries(propertyMapping || {})) {
+    const property = schema.properties.find(candidate => candidate.name === propertyName);
+    const value = getMetadataField(field, metadata || {});
+    
+    if (!property || property.type === 'title' || value === null || value === undefined || value === '') {
+      continue;
+    }
+    
+    try {
+      const propertyValue = await toPropertyValue(property.type, value, apiToken);
+      if (propertyValue) {
+        properties[property.name] = propertyValue;
+      } else {
+        console.warn(`Confluence2Notion: Could not map ${field} onto ${property.type} property "${property.name}"`, value);
+      }
+    } catch (error) {
+      console.warn(`Confluence2Notion: Failed to map ${field} onto "${property.name}"`, error);
+    }
+  }
+  
+  return properties;
+}
+
+// ============================================================================
+// Destination Search
+// ============================================================================
+// Titles and parents of pages/databases already looked up, used for breadcrumbs
+const notionObjectCache = new Map();
+const MAX_CACHED_NOTION_OBJECTS = 200;
+
+// Number of ancestors shown in a search result breadcrumb
+const MAX_BREADCRUMB_DEPTH = 3;
+
+// Ancestors looked up per search; breadcrumbs beyond them are cut short
+const MAX_BREADCRUMB_LOOKUPS = 10;
+
+// Incremented per search so a superseded search stops looking up ancestors
+let destinationSearchSequence = 0;
+
+/**
+ * Summarize a page or database object for the destination picker
+ * @param {Object} object - Notion page or database object
+ * @returns {Object} Summary { id, type, title, icon, url, parent }
+ */
+function summarizeNotionObject(object) {
+  let titleParts = [];
+  if (object.object === 'database') {
+    titleParts = object.title || [];
+  } else {
+    const titleProperty = Object.values(object.properties || {}).find(property => property.type === 'title');
+    titleParts = titleProperty?.title || [];
+  }
+  
+  let icon = null;
+  if (object.icon?.type === 'emoji') {
+    icon = { type: 'emoji', emoji: object.icon.emoji };
+  } else if (object.icon?.type === 'external') {
+    icon = { type: 'image', url: object.icon.external.url };
+  } else if (object.icon?.type === 'file') {
+    // Notion-hosted file URLs expire after an hour
+    icon = { type: 'image', url: object.icon.file.url, expires: true };
+  }
+  
+  const parent = object.parent || {};
+  const parentId = parent.page_id || parent.database_id || parent.block_id || null;
+  
+  return {
+    id: object.id,
+    type: object.object,
+    title: titleParts.map(text => text.plain_text).join('') || 'Untitled',
+    icon,
+    url: object.url,
+    parent: parentId ? { id: parentId, type: parent.type } : null,
+  };
+}
+
+/**
+ * Remember an object summary, dropping the oldest entry when the cache is full
+ * @param {string} id - Page or database ID
+ * @param {Object|null} summary - Object summary, or null if it cannot be seen
+ */
+function cacheNotionObject(id, summary) {
+  notionObjectCache.delete(id);
+  notionObjectCache.set(id, summary);
+  if (notionObjectCache.size > MAX_CACHED_NOTION_OBJECTS) {
+    notionObjectCache.delete(notionObjectCache.keys().next().value);
+  }
+}
+
+/**
+ * Look up a page or database by ID, using the cache when possible
+ * Returns null for objects the integration cannot see
+ * @param {Object} ref - Parent reference { id, type }
+ * @param {string} apiToken - API token
+ * @returns {Promise<Object|null>} Object summary or null
+ */
+async function getNotionObjectSummary(ref, apiToken) {
+  if (notionObjectCache.has(ref.id)) {
+    return notionObjectCache.get(ref.id);
+  }
+  
+  let summary = null;
+  try {
+    if (ref.type === 'database_id') {
+      summary = summarizeNotionObject(await notionRequest(`/databases/${ref.id}`, 'GET', null, apiToken));
+    } else if (ref.type === 'page_id') {
+      summary = summarizeNotionObject(await notionRequest(`/pages/${ref.id}`, 'GET', null, apiToken));
+    }
+  } catch (error) {
+    console.log('Confluence2Notion: Could not look up parent for breadcrumb', ref.id, error.message);
+  }
+  
+  cacheNotionObject(ref.id, summary);
+  return summary;
+}
+
+/**
+ * Find the nearest breadcrumb ancestor of a search result that is not cached yet
+ * @param {Object} summary - Object summary
+ * @returns {Object|null} Parent reference { id, type }, or null if all are known
+ */
+function findUncachedAncestor(summary) {
+  let parent = summary.parent;
+  for (let depth = 0; parent && depth < MAX_BREADCRUMB_DEPTH; depth++) {
+    if (!notionObjectCache.has(parent.id)) {
+      return parent;
+    }
+    parent = notionObjectCache.get(parent.id)?.parent;
+  }
+  return null;
+}
+
+/**
+ * Build the breadcrumb (ancestor titles, outermost first) for a search result
+ * from the cached ancestors
+ * @param {Object} summary - Object summary
+ * @returns {Array<string>} Ancestor titles
+ */
+function buildBreadcrumb(summary) {
+  const breadcrumb = [];
+  let parent = summary.parent;
+  
+  while (parent && breadcrumb.length < MAX_BREADCRUMB_DEPTH) {
+    const ancestor = notionObjectCache.get(parent.id);
+    if (!ancestor) break;
+    breadcrumb.unshift(ancestor.title);
+    parent = ancestor.parent;
+  }
+  
+  return breadcrumb;
+}
+
+/**
+ * Search the pages and databases shared with the integration
+ * @param {string} query - Search text (empty lists recently edited objects)
+ * @param {string} apiToken - API token
+ * @returns {Promise<Array<Object>>} Results { id, type, title, icon, url, breadcrumb }
+ */
+async function searchNotionDestinations(query, apiToken) {
+  const sequence = ++destinationSearchSequence;
+  const body = {
+    page_size: 20,
+    sort: { direction: 'descending', timestamp: 'last_edited_time' },
+  };
+  if (query && query.trim()) {
+    body.query = query.trim();
+  }
+  
+  const response = await notionRequest('/search', 'POST', body, apiToken);
+  
+  const summaries = (response.results || [])
+    .filter(object => !object.archived && !object.in_trash)
+    .map(summarizeNotionObject);
+  
+  // Results often contain each other's parents, so cache them before resolving breadcrumbs
+  summaries.forEach(summary => cacheNotionObject(summary.id, summary));
+  
+  // Look up the missing ancestors one level at a time, all results at once,
+  // until the lookup budget is spent or a newer search has started
+  let lookups = 0;
+  while (lookups < MAX_BREADCRUMB_LOOKUPS && sequence === destinationSearchSequence) {
+    const missing = new Map();
+    summaries.forEach(summary => {
+      const ancestor = findUncachedAncestor(summary);
+      if (ancestor) {
+        missing.set(ancestor.id, ancestor);
+      }
+    });
+    if (missing.size === 0) break;
+    
+    const batch = [...missing.values()].slice(0, MAX_BREADCRUMB_LOOKUPS - lookups);
+    lookups += batch.length;
+    await Promise.all(batch.map(ref => getNotionObjectSummary(ref, apiToken)));
+  }
+  
+  return summaries.map(summary => ({ ...summary, breadcrumb: buildBreadcrumb(summary) }));
+}
+
+// ============================================================================
+// Confluence to Notion Page Mappings
+// ============================================================================
+// Maps a Confluence page key (host + page id) to the Notion page created for it
+const PAGE_MAPPINGS_KEY = 'pageMappings';
+
+/**
+ * Get the Notion page previously created for a Confluence page
+ * @param {string} confluencePageKey - Confluence page key
+ * @returns {Promise<Object|null>} Mapping entry or null
+ */
+async function getPageMapping(confluencePageKey) {
+  if (!confluencePageKey) {
+    return null;
+  }
+  
+  const result = await chrome.storage.local.get(PAGE_MAPPINGS_KEY);
+  return result[PAGE_MAPPINGS_KEY]?.[confluencePageKey] || null;
+}
+
+/**
+ * Remember the Notion page created for a Confluence page
+ * @param {string} confluencePageKey - Confluence page key
+ * @param {Object} entry - Mapping entry ({ notionPageId, notionPageUrl, title })
+ * @returns {Promise<void>}
+ */
+async function savePageMapping(confluencePageKey, entry) {
+  const result = await chrome.storage.local.get(PAGE_MAPPINGS_KEY);
+  const mappings = result[PAGE_MAPPINGS_KEY] || {};
+  
+  mappings[confluencePageKey] = { ...entry, importedAt: Date.now() };
+  await chrome.storage.local.set({ [PAGE_MAPPINGS_KEY]: mappings });
+}
+
+/**
+ * Forget the Notion page mapped to a Confluence page
+ * @param {string} confluencePageKey - Confluence page key
+ * @returns {Promise<void>}
+ */
+async function removePageMapping(confluencePageKey) {
+  const result = await chrome.storage.local.get(PAGE_MAPPINGS_KEY);
+  const mappings = result[PAGE_MAPPINGS_KEY] || {};
+  
+  delete mappings[confluencePageKey];
+  await chrome.storage.local.set({ [PAGE_MAPPINGS_KEY]: mappings });
+}
+
+// ============================================================================
+// Confluence to Notion User Mappings
+// ============================================================================
+// Confluence username, user key, account id, email or display name -> Notion user
+const USER_MAPPINGS_KEY = 'userMappings';
+
+/**
+ * Get the user mapping table
+ * @returns {Promise<Array<Object>>} Entries { confluence, notionUserId, notionUserName }
+ */
+async function getUserMappings() {
+  const result = await chrome.storage.local.get(USER_MAPPINGS_KEY);
+  return result[USER_MAPPINGS_KEY] || [];
+}
+
+/**
+ * Replace the user mapping table
+ * @param {Array<Object>} mappings - Entries { confluence, notionUserId, notionUserName }
+ * @returns {Promise<void>}
+ */
+async function saveUserMappings(mappings) {
+  const entries = (mappings || [])
+    .filter(entry => entry?.confluence?.trim() && entry.notionUserId)
+    .map(entry => ({
+      confluence: entry.confluence.trim(),
+      notionUserId: entry.notionUserId,
+      notionUserName: entry.notionUserName || '',
+    }));
+  await chrome.storage.local.set({ [USER_MAPPINGS_KEY]: entries });
+}
+
+/**
+ * Summarize a workspace user for the people mapping view
+ * @param {Object} user - Notion user object
+ * @returns {Object} { id, name, email }
+ */
+function summarizeNotionUser(user) {
+  return {
+    id: user.id,
+    name: user.name || user.person?.email || user.id,
+    email: user.person?.email || null,
+  };
+}
+
+/**
+ * Create the lookup used for mentions
+ * The mapping table is checked for each Confluence identifier and the display
+ * name; then workspace users are matched by email or display name.
+ * @param {Array<Object>} mappings - User mapping table
+ * @param {Array<Object>} users - Notion workspace users for matching, may be empty
+ * @returns {Function} (identifiers, name) => Notion user id or null
+ */
+function createUserResolver(mappings, users) {
+  const byIdentifier = new Map(mappings.map(entry => [entry.confluence.toLowerCase(), entry.notionUserId]));
+  
+  return (identifiers, name) => {
+    const keys = [...identifiers, name.replace(/^@/, '')].map(key => key.toLowerCase());
+    const mapped = keys.find(key => byIdentifier.has(key));
+    if (mapped) {
+      return byIdentifier.get(mapped);
+    }
+    
+    const user = users.find(candidate => candidate.person?.email && keys.includes(candidate.person.email.toLowerCase())) ||
+                 users.find(candidate => candidate.name && keys.includes(candidate.name.toLowerCase()));
+    return user?.id || null;
+  };
+}
+
+/**
+ * Load the mention lookup for an import
+ * @param {string} apiToken - API token
+ * @param {Object} options - Options
+ * @param {boolean} options.autoMatch - Also match workspace users (lists them from Notion)
+ * @returns {Promise<Function>} Lookup from createUserResolver
+ */
+async function loadUserResolver(apiToken, { autoMatch }) {
+  const mappings = await getUserMappings();
+  let users = [];
+  
+  if (autoMatch) {
+    try {
+      users = await listNotionUsers(apiToken);
+    } catch (error) {
+      // Integrations without user access still import, with mapped mentions only
+      console.warn('Confluence2Notion: Could not list Notion users for mentions', error);
+    }
+  }
+  
+  return createUserResolver(mappings, users);
+}
+
+/**
+ * Turn the mentions parseInlineMarkdown leaves unresolved into Notion user
+ * mentions, or into "@name" text for people without a Notion user, in place
+ * @param {Array} blocks - Notion blocks
+ * @param {Function} [resolveUser] - Lookup from createUserResolver
+ */
+function resolveUserMentions(blocks, resolveUser) {
+  forEachRichText(blocks, (richText) => {
+    richText.forEach((segment, index) => {
+      const user = segment.type === 'mention' && segment.mention.type === 'user' ? segment.mention.user : null;
+      if (!user || user.id) return;
+      
+      const userId = resolveUser ? resolveUser(user.confluenceIds || [], user.name) : null;
+      const annotations = segment.annotations && Object.keys(segment.annotations).length > 0
+        ? { annotations: segment.annotations }
+        : {};
+      richText[index] = userId
+        ? { type: 'mention', mention: { type: 'user', user: { id: userId } }, ...annotations }
+        : { type: 'text', text: { content: user.name }, ...annotations };
+    });
+  });
+}
+
+// ============================================================================
+// Import Cancellation
+// ============================================================================
+// Aborts the Notion requests and image downloads of the running import
+let importAbortController = null;
+// Page created by the running import, { id, url, title, apiToken, confluencePageKey }
+let importCreatedPage = null;
+// Options passed with the cancel request, { archivePage }
+let importCancelRequest = null;
+
+/**
+ * Create the error an import fails with once it is cancelled
+ * @returns {Error} Error with cancelled set
+ */
+function createCancelledError() {
+  const error = new Error('Import cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Request options for a request made on behalf of the running import, so
+ * cancelling the import aborts it; other requests are left alone
+ * @returns {{signal: (AbortSignal|undefined)}} Options for notionRequest and fetch
+ */
+function importRequestOptions() {
+  return { signal: importAbortController?.signal };
+}
+
+/**
+ * Stop the running import at the next safe point
+ * @throws {Error} Cancellation error if the import was cancelled
+ */
+function throwIfImportCancelled() {
+  if (importAbortController?.signal.aborted) {
+    throw createCancelledError();
+  }
+}
+
+/**
+ * Move a page created by the running import to the trash
+ * Its resumable job and page mapping are dropped with it.
+ * @param {Object} createdPage - Page recorded in importCreatedPage
+ * @returns {Promise<void>}
+ */
+async function archiveCreatedPage(createdPage) {
+  await notionRequest(`/pages/${createdPage.id}`, 'PATCH', { archived: true }, createdPage.apiToken);
+  await clearImportJob();
+  if (createdPage.confluencePageKey) {
+    await removePageMapping(createdPage.confluencePageKey);
+  }
+}
+
+/**
+ * Roll back a page left half-imported by a failed import
+ * @param {Object} createdPage - Page recorded in importCreatedPage
+ * @param {Error} error - Error the import failed with
+ * @returns {Promise<Object>} What was rolled back, { pageId, pageUrl, title, archived, error? }
+ */
+async function rollbackCreatedPage(createdPage, error) {
+  const rollback = {
+    pageId: createdPage.id,
+    pageUrl: createdPage.url,
+    title: createdPage.title,
+    archived: false,
+  };
+  
+  try {
+    sendProgressUpdate(currentProgress.percent, 'Import failed, moving the partial page to the trash...');
+    await archiveCreatedPage(createdPage);
+    rollback.archived = true;
+    console.log('Confluence2Notion Background: Rolled back partially created page', rollback, error);
+  } catch (archiveError) {
+    console.error('Confluence2Notion Background: Could not roll back the partial page', archiveError);
+    rollback.error = archiveError.message || String(archiveError);
+  }
+  
+  return rollback;
+}
+
+/**
+ * Run an import so the popup can cancel it
+ * On cancellation the partially created page is moved to the trash if requested.
+ * With rollbackOnFailure, a page created before the import failed is trashed too.
+ * Pages that were being updated are never archived.
+ * @param {Function} task - Async function performing the import
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.rollbackOnFailure] - Archive the created page if the import fails
+ * @returns {Promise<*>} Result of the task
+ */
+async function runCancellableImport(task, { rollbackOnFailure = false } = {}) {
+  if (importAbortController) {
+    throw new Error('Another import is still running. Wait for it to finish or cancel it first.');
+  }
+  
+  importAbortController = new AbortController();
+  importCreatedPage = null;
+  importCancelRequest = null;
+  
+  try {
+    return await task();
+  } catch (error) {
+    const createdPage = importCreatedPage;
+    
+    if (!error.cancelled && !importAbortController.signal.aborted) {
+      if (rollbackOnFailure && createdPage) {
+        error.rollback = await rollbackCreatedPage(createdPage, error);
+      }
+      throw error;
+    }
+    
+    const cancelledError = createCancelledError();
+    
+    // Later requests must not be aborted by the old controller
+    importAbortController = null;
+    
+    if (importCancelRequest?.archivePage && createdPage) {
+      try {
+        sendProgressUpdate(currentProgress.percent, 'Moving the partial page to the trash...');
+        await archiveCreatedPage(createdPage);
+        cancelledError.archived = true;
+      } catch (archiveError) {
+        console.error('Confluence2Notion Background: Could not archive the cancelled page', archiveError);
+      }
+    }
+    
+    throw cancelledError;
+  } finally {
+    importAbortController = null;
+    importCreatedPage = null;
+    importCancelRequest = null;
+  }
+}
+
+/**
+ * Cancel the running import
+ * @param {Object} options - Options
+ * @param {boolean} options.archivePage - Move a page created by the import to the trash
+ * @returns {boolean} False if no import was running
+ */
+function cancelImport({ archivePage }) {
+  if (!importAbortController) {
+    return false;
+  }
+  
+  console.log('Confluence2Notion Background: Cancelling import', { archivePage });
+  importCancelRequest = { archivePage: archivePage === true };
+  importAbortController.abort();
+  return true;
+}
+
+// ============================================================================
+// Resumable Import Jobs
+// ============================================================================
+// An import job tracks the chunks still to be appended to a page and, for an
+// update, the old blocks to remove once they are all in. The chunk list is
+// written once; only the job record is rewritten per chunk.
+const IMPORT_JOB_KEY = 'importJob';
+const IMPORT_JOB_CHUNKS_KEY = 'importJobChunks';
+
+// Promise of the upload currently running in this worker instance, whether
+// started by an import or a resume; resolves to { pageId, pageUrl, failures }
+let activeImportPromise = null;
+
+/**
+ * Persist an import job and (optionally) its chunk list
+ * @param {Object} job - Job record
+ * @param {Array<Array>} [chunks] - Block chunks, only written when provided
+ * @returns {Promise<void>}
+ */
+async function saveImportJob(job, chunks) {
+  const data = { [IMPORT_JOB_KEY]: { ...job, updatedAt: Date.now() } };
+  if (chunks) {
+    data[IMPORT_JOB_CHUNKS_KEY] = chunks;
+  }
+  await chrome.storage.local.set(data);
+}
+
+/**
+ * Load the persisted import job
+ * @returns {Promise<{job: Object, chunks: Array<Array>}|null>} Job and chunks, or null
+ */
+async function loadImportJob() {
+  const result = await chrome.storage.local.get([IMPORT_JOB_KEY, IMPORT_JOB_CHUNKS_KEY]);
+  const job = result[IMPORT_JOB_KEY];
+  const chunks = result[IMPORT_JOB_CHUNKS_KEY];
+  
+  if (!job || !Array.isArray(chunks)) {
+    return null;
+  }
+  
+  return { job, chunks };
+}
+
+/**
+ * Remove the persisted import job
+ * @returns {Promise<void>}
+ */
+async function clearImportJob() {
+  await chrome.storage.local.remove([IMPORT_JOB_KEY, IMPORT_JOB_CHUNKS_KEY]);
+}
+
+/**
+ * Split blocks into chunks, persist them as a job and upload them to a page
+ * The job is saved before the first append so a terminated worker can pick
+ * up where it stopped instead of leaving a half-filled page
+ * @param {Object} page - Target page ({ id, url })
+ * @param {string} title - Page title
+ * @param {Array} blocks - Blocks to append
+ * @param {string} apiToken - API token
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.replacedBlockIds] - Old blocks to remove after the append
+ * @returns {Promise<void>}
+ */
+async function startImportJob(page, title, blocks, apiToken, { replacedBlockIds = [] } = {}) {
+  const chunks = splitIntoRequestChunks(blocks);
+  
+  const job = {
+    id: `${page.id}-${Date.now()}`,
+    pageId: page.id,
+    pageUrl: page.url,
+    title,
+    nextChunk: 0,
+    totalChunks: chunks.length,
+    replacedBlockIds,
+    status: 'running',
+    failures: [],
+    createdAt: Date.now(),
+  };
+  
+  await saveImportJob(job, chunks);
+  
+  // Track the first run like a resumed one so the popup does not offer to
+  // resume a job that is still uploading
+  activeImportPromise = runImportJob(job, chunks, apiToken)
+    .then(failures => ({ pageId: page.id, pageUrl: page.url, failures }));
+  try {
+    return (await activeImportPromise).failures;
+  } finally {
+    activeImportPromise = null;
+  }
+}
+
+/**
+ * Append the outstanding chunks of an import job, checkpointing after each one,
+ * then remove the blocks the job replaces
+ * @param {Object} job - Job record (mutated as chunks complete)
+ * @param {Array<Array>} chunks - All chunks of the job
+ * @param {string} apiToken - API token
+ * @returns {Promise<void>}
+ */
+async function runImportJob(job, chunks, apiToken) {
+  try {
+    for (let i = job.nextChunk; i < chunks.length; i++) {
+      throwIfImportCancelled();
+      const progress = 80 + Math.floor(((i + 1) / chunks.length) * 15);
+      sendChunkProgress(i + 1, chunks.length, progress);
+      
+      await appendBlocksToPage(job.pageId, chunks[i], apiToken, job.failures);
+      
+      job.nextChunk = i + 1;
+      await saveImportJob(job);
+    }
+    
+    await removeReplacedBlocks(job, apiToken);
+  } catch (error) {
+    // Keep the job so the user can resume from the last confirmed chunk
+    job.status = error.cancelled ? 'cancelled' : 'failed';
+    job.error = error.message || String(error);
+    await saveImportJob(job).catch(() => {});
+    throw error;
+  }
+  
+  await clearImportJob();
+  return job.failures;
+}
+
+/**
+ * Archive the old blocks of an updated page, checkpointing after each one
+ * so a resumed job does not delete a block twice
+ * @param {Object} job - Job record (mutated as blocks are removed)
+ * @param {string} apiToken - API token
+ * @returns {Promise<void>}
+ */
+async function removeReplacedBlocks(job, apiToken) {
+  const total = job.replacedBlockIds?.length || 0;
+  
+  while (job.replacedBlockIds?.length > 0) {
+    throwIfImportCancelled();
+    const removed = total - job.replacedBlockIds.length;
+    if (removed % 10 === 0) {
+      sendProgressUpdate(95, `Removing previous content ${removed + 1}/${total}...`);
+    }
+    
+    await notionRequest(`/blocks/${job.replacedBlockIds[0]}`, 'DELETE', null, apiToken, importRequestOptions());
+    
+    job.replacedBlockIds = job.replacedBlockIds.slice(1);
+    await saveImportJob(job);
+  }
+}
+
+/**
+ * Summarize the persisted import job for the popup
+ * @returns {Promise<Object|null>} Job summary or null if nothing to resume
+ */
+async function getResumableImportJob() {
+  const stored = await loadImportJob();
+  if (!stored) {
+    return null;
+  }
+  
+  const { job } = stored;
+  return {
+    title: job.title,
+    pageUrl: job.pageUrl,
+    nextChunk: job.nextChunk,
+    totalChunks: job.totalChunks,
+    status: job.status,
+    error: job.error,
+    isRunning: activeImportPromise !== null,
+  };
+}
+
+/**
+ * Resume the persisted import job
+ * Reuses the running import if this worker is already processing it
+ * @returns {Promise<Object>} Page info
+ */
+async function resumeImportJob() {
+  if (activeImportPromise) {
+    return activeImportPromise;
+  }
+  
+  activeImportPromise = runCancellableImport(async () => {
+    const stored = await loadImportJob();
+    if (!stored) {
+      throw new Error('There is no interrupted import to resume');
+    }
+    
+    const { job, chunks } = stored;
+    if (progressLog?.state === 'running') {
+      progressLog.title = job.title;
+    }
+    const settings = await chrome.storage.sync.get('notionApiToken');
+    const apiToken = settings.notionApiToken;
+    
+    if (!apiToken) {
+      throw new Error('Notion API token is required');
+    }
+    
+    console.log('Confluence2Notion Background: Resuming import', {
+      pageId: job.pageId,
+      nextChunk: job.nextChunk,
+      totalChunks: job.totalChunks,
+    });
+    
+    job.status = 'running';
+    job.failures = job.failures || [];
+    delete job.error;
+    await saveImportJob(job);
+    
+    sendProgressUpdate(80, `Resuming upload at blocks ${job.nextChunk + 1}/${job.totalChunks}...`);
+    const failures = await runImportJob(job, chunks, apiToken);
+    sendProgressUpdate(95, 'Finalizing...');
+    
+    return {
+      pageId: job.pageId,
+      pageUrl: job.pageUrl,
+      failures,
+    };
+  });
+  
+  try {
+    return await activeImportPromise;
+  } finally {
+    activeImportPromise = null;
+  }
+}
+
+/**
+ * Resume a job that was still running when the previous worker instance
+ * was terminated. Failed jobs wait for the user to resume them from the popup.
+ */
+async function resumeInterruptedImport() {
+  try {
+    const stored = await loadImportJob();
+    if (stored?.job.status !== 'running' || activeImportPromise) {
+      return;
+    }
+    
+    console.log('Confluence2Notion Background: Found interrupted import, resuming');
+    await trackImportJob('resume', stored.job.title, handleResumeImport);
+  } catch (error) {
+    console.error('Confluence2Notion Background: Failed to resume interrupted import', error);
+  }
+}
+
+// ============================================================================
+// Nested Block Upload
+// ============================================================================
+// Notion accepts two levels of nesting below the blocks sent in one request
+const MAX_REQUEST_NESTING_DEPTH = 2;
+
+// Blocks Notion only creates together with their children, by the nesting
+// levels those children take up
+const INLINE_CHILDREN_DEPTH = {
+  table: 1,
+  column: 1,
+  column_list: 2,
+};
+
+/**
+ * Split blocks into a request payload and children that are too deep for it
+ * (or beyond the 100 children a single array may hold)
+ * Children containing a block that needs its own children inline (such as a
+ * table and its rows) are detached as a whole when those would be too deep.
+ * The input blocks are not modified
+ * @param {Array} blocks - Blocks to send
+ * @returns {{payload: Array, deferred: Array<{path: Array<number>, children: Array}>}}
+ *   Payload for the request and detached children keyed by the index path of their parent
+ */
+function detachDeepChildren(blocks) {
+  const deferred = [];
+  
+  const strip = (list, depth, parentPath) => list.map((block, index) => {
+    const data = block[block.type];
+    if (!Array.isArray(data?.children) || data.children.length === 0) {
+      return block;
+    }
+    
+    const path = [...parentPath, index];
+    
+    const childrenTooDeep = data.children.some(child =>
+      depth + 1 + (INLINE_CHILDREN_DEPTH[child.type] || 0) > MAX_REQUEST_NESTING_DEPTH
+    );
+    if (depth >= MAX_REQUEST_NESTING_DEPTH || childrenTooDeep) {
+      deferred.push({ path, children: data.children });
+      const { children, ...rest } = data;
+      return { ...block, [block.type]: rest };
+    }
+    
+    // Children beyond the array limit are appended once the parent exists
+    let children = data.children;
+    if (children.length > NOTION_MAX_ARRAY_LENGTH) {
+      deferred.push({ path, children: children.slice(NOTION_MAX_ARRAY_LENGTH) });
+      children = children.slice(0, NOTION_MAX_ARRAY_LENGTH);
+    }
+    
+    return {
+      ...block,
+      [block.type]: { ...data, children: strip(children, depth + 1, path) },
+    };
+  });
+  
+  return { payload: strip(blocks, 0, []), deferred };
+}
+
+/**
+ * List all children of a block (handles pagination)
+ * @param {string} blockId - Parent block or page ID
+ * @param {string} apiToken - API token
+ * @returns {Promise<Array<Object>>} Child blocks in order
+ */
+async function listBlockChildren(blockId, apiToken) {
+  const children = [];
+  let cursor;
+  
+  do {
+    const query = cursor ? `?page_size=100&start_cursor=${encodeURIComponent(cursor)}` : '?page_size=100';
+    const response = await notionRequest(`/blocks/${blockId}/children${query}`, 'GET', null, apiToken, importRequestOptions());
+    children.push(...(response.results || []));
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor);
+  
+  return children;
+}
+
+/**
+ * List the blocks of a page that an update replaces
+ * Child pages and databases are kept so an update does not delete them
+ * @param {string} pageId - Notion page ID
+ * @param {string} apiToken - API token
+ * @returns {Promise<Array<Object>>} Blocks to remove, in order
+ */
+async function listReplaceableBlocks(pageId, apiToken) {
+  const children = await listBlockChildren(pageId, apiToken);
+  return children.filter(block => block.type !== 'child_page' && block.type !== 'child_database');
+}
+
+/**
+ * List the ids of all children of a block
+ * @param {string} blockId - Parent block or page ID
+ * @param {string} apiToken - API token
+ * @returns {Promise<Array<string>>} Child block ids in order
+ */
+async function listBlockChildIds(blockId, apiToken) {
+  const children = await listBlockChildren(blockId, apiToken);
+  return children.map(block => block.id);
+}
+
+/**
+ * Append children that were detached from a request to their created parents
+ * @param {Array<string>} topLevelIds - Ids of the blocks created by the request
+ * @param {Array<{path: Array<number>, children: Array}>} deferred - Detached children
+ * @param {string} apiToken - API token
+ * @param {Array<Object>} failures - Blocks Notion rejected, appended to in place
+ */
+async function appendDeferredChildren(topLevelIds, deferred, apiToken, failures = []) {
+  const childIdCache = new Map();
+  
+  for (const { path, children } of deferred) {
+    // Walk down the index path, listing children to find nested block ids
+    let blockId = topLevelIds[path[0]];
+    for (const index of path.slice(1)) {
+      if (!blockId) break;
+      if (!childIdCache.has(blockId)) {
+        childIdCache.set(blockId, await listBlockChildIds(blockId, apiToken));
+      }
+      blockId = childIdCache.get(blockId)[index];
+    }
+    
+    if (!blockId) {
+      throw new Error(`Could not find the created block for nested content at ${path.join('.')}`);
+    }
+    
+    await appendBlocksToPage(blockId, children, apiToken, failures);
+  }
+}
+
+/**
+ * Append blocks to an existing page or block (handles pagination)
+ * Children nested deeper than a single request allows are appended
+ * recursively to the blocks created for their parents. Blocks Notion
+ * rejects are replaced by a callout and reported instead of failing the page.
+ * @param {string} pageId - Page or block ID
+ * @param {Array} blocks - Blocks to append
+ * @param {string} apiToken - API token
+ * @param {Array<Object>} failures - Blocks Notion rejected, appended to in place
+ * @returns {Promise<Array<Object>>} The failures array
+ */
+async function appendBlocksToPage(pageId, blocks, apiToken, failures = []) {
+  for (const chunk of splitIntoRequestChunks(blocks)) {
+    await appendChunkWithRecovery(pageId, chunk, apiToken, failures);
+  }
+  
+  return failures;
+}
+
+/**
+ * Check whether Notion rejected the request because of the blocks it contained
+ * @param {Error} error - Error thrown by notionRequest
+ * @returns {boolean} True for validation errors
+ */
+function isBlockRejection(error) {
+  return error.status === 400 && error.code === 'validation_error';
+}
+
+/**
+ * Append one request-sized chunk, bisecting it when Notion rejects it
+ * A rejected request creates nothing, so each half can be sent on its own
+ * until the offending blocks are isolated.
+ * @param {string} pageId - Page or block ID
+ * @param {Array} chunk - Blocks that fit one request
+ * @param {string} apiToken - API token
+ * @param {Array<Object>} failures - Blocks Notion rejected, appended to in place
+ */
+async function appendChunkWithRecovery(pageId, chunk, apiToken, failures) {
+  const { payload, deferred } = detachDeepChildren(chunk);
+  
+  let response;
+  try {
+    response = await notionRequest(
+      `/blocks/${pageId}/children`,
+      'PATCH',
+      { children: payload },
+      apiToken,
+      importRequestOptions()
+    );
+  } catch (error) {
+    if (!isBlockRejection(error)) {
+      throw error;
+    }
+    
+    if (chunk.length === 1) {
+      await appendFailureCallout(pageId, chunk[0], error, apiToken, failures);
+      return;
+    }
+    
+    console.warn(`Confluence2Notion: Notion rejected ${chunk.length} blocks, retrying in halves:`, error.message);
+    const middle = Math.ceil(chunk.length / 2);
+    await appendChunkWithRecovery(pageId, chunk.slice(0, middle), apiToken, failures);
+    await appendChunkWithRecovery(pageId, chunk.slice(middle), apiToken, failures);
+    return;
+  }
+  
+  if (deferred.length > 0) {
+    const createdIds = (response.results || []).map(block => block.id);
+    await appendDeferredChildren(createdIds, deferred, apiToken, failures);
+  }
+}
+
+/**
+ * Get the Markdown a block was converted from, or its text when unknown
+ * @param {Object} block - Notion block
+ * @returns {string} Markdown or plain text
+ */
+function getBlockSource(block) {
+  if (blockSources.has(block)) {
+    return blockSources.get(block);
+  }
+  
+  const lines = [];
+  const collect = (current, depth) => {
+    const data = current[current.type] || {};
+    const richText = data.rich_text || data.caption || [];
+    const text = richText.map(segment => segment.plain_text || segment.text?.content || segment.equation?.expression || '').join('');
+    const cells = (data.cells || []).map(cell => cell.map(segment => segment.text?.content || '').join(''));
+    const line = cells.length > 0 ? `| ${cells.join(' | ')} |` : text || data.url || data.external?.url || data.expression || '';
+    if (line) {
+      lines.push(`${'  '.repeat(depth)}${line}`);
+    }
+    (data.children || []).forEach(child => collect(child, depth + 1));
+  };
+  collect(block, 0);
+  
+  return lines.join('\n');
+}
+
+/**
+ * Append a visible "could not import" callout in place of a rejected block
+ * @param {string} pageId - Page or block ID
+ * @param {Object} block - Block Notion rejected
+ * @param {Error} error - Notion's validation error
+ * @param {string} apiToken - API token
+ * @param {Array<Object>} failures - Blocks Notion rejected, appended to in place
+ */
+async function appendFailureCallout(pageId, block, error, apiToken, failures) {
+  const source = getBlockSource(block);
+  console.warn(`Confluence2Notion: Notion rejected a ${block.type} block, adding a placeholder:`, error.message);
+  
+  const callout = {
+    type: 'callout',
+    callout: {
+      rich_text: [
+        createRichTextSegment(`Could not import this ${block.type.replace(/_/g, ' ')} block: `, { bold: true }),
+        createRichTextSegment(error.message),
+      ],
+      icon: { emoji: '⚠️' },
+      color: 'red_background',
+      children: [createCodeBlock(source, 'markdown')],
+    },
+  };
+  validateAndRepairBlocks([callout]);
+  
+  try {
+    await notionRequest(`/blocks/${pageId}/children`, 'PATCH', { children: [callout] }, apiToken, importRequestOptions());
+  } catch (calloutError) {
+    if (!isBlockRejection(calloutError)) {
+      throw calloutError;
+    }
+    // Not even the placeholder fits; report the block without one
+    console.error('Confluence2Notion: Could not add the failure placeholder either', calloutError);
+  }
+  
+  failures.push({
+    type: block.type,
+    error: error.message,
+    markdown: source,
+  });
+  sendImportWarning(`A ${block.type.replace(/_/g, ' ')} block could not be imported and was replaced by a callout`);
+}
+
+// ============================================================================
+// Block Validation
+// ============================================================================
+// Block types whose url (or external.url) Notion checks against the URL limit
+const URL_BLOCK_TYPES = new Set(['image', 'bookmark', 'embed', 'video', 'file', 'pdf', 'audio']);
+
+/**
+ * Count blocks, including nested children
+ * @param {Array} blocks - Notion blocks
+ * @param {Object} counts - Accumulator { total, byType }
+ * @returns {{total: number, byType: Object<string, number>}} Counts
+ */
+function countBlocks(blocks, counts = { total: 0, byType: {} }) {
+  blocks.forEach(block => {
+    counts.total++;
+    counts.byType[block.type] = (counts.byType[block.type] || 0) + 1;
+    const children = block[block.type]?.children;
+    if (Array.isArray(children)) {
+      countBlocks(children, counts);
+    }
+  });
+  
+  return counts;
+}
+
+/**
+ * Size of a value once serialized as a JSON request body
+ * @param {*} value - Value to measure
+ * @returns {number} Size in bytes
+ */
+function getJsonByteSize(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Split top-level blocks into chunks that each fit in one request:
+ * at most 100 blocks, 1000 blocks including nested children, and the payload byte limit
+ * @param {Array} blocks - Top-level blocks
+ * @returns {Array<Array>} Chunks in order
+ */
+function splitIntoRequestChunks(blocks) {
+  const chunks = [];
+  let current = [];
+  let currentCount = 0;
+  let currentBytes = 0;
+  
+  blocks.forEach(block => {
+    const { payload } = detachDeepChildren([block]);
+    const count = countBlocks(payload).total;
+    const bytes = getJsonByteSize(payload[0]);
+    
+    const isFull = current.length >= NOTION_MAX_ARRAY_LENGTH ||
+      currentCount + count > NOTION_MAX_PAYLOAD_BLOCKS ||
+      currentBytes + bytes > NOTION_MAX_PAYLOAD_BYTES;
+    
+    if (current.length > 0 && isFull) {
+      chunks.push(current);
+      current = [];
+      currentCount = 0;
+      currentBytes = 0;
+    }
+    
+    current.push(block);
+    currentCount += count;
+    currentBytes += bytes;
+  });
+  
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  
+  return chunks;
+}
+
+/**
+ * Split text into pieces of at most maxLength, without breaking surrogate pairs
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum piece length
+ * @returns {Array<string>} Pieces
+ */
+function splitText(text, maxLength) {
+  const pieces = [];
+  let start = 0;
+  
+  while (start < text.length) {
+    let end = Math.min(start + maxLength, text.length);
+    const lastCode = text.charCodeAt(end - 1);
+    if (end < text.length && lastCode >= 0xD800 && lastCode <= 0xDBFF) {
+      end--;
+    }
+    pieces.push(text.slice(start, end));
+    start = end;
+  }
+  
+  return pieces;
+}
+
+/**
+ * Bring a rich text array within Notion's limits
+ * Long text is split into several segments, over-long links are dropped and
+ * over-long inline equations become code-formatted text
+ * @param {Array} richText - Rich text segments
+ * @param {Function} report - Called with a description of each repair
+ * @returns {Array} Repaired rich text (may exceed 100 items; see repairRichTextCount)
+ */
+function repairRichText(richText, report) {
+  const repaired = [];
+  
+  richText.forEach(segment => {
+    if (segment.type === 'equation') {
+      const expression = segment.equation?.expression || '';
+      if (expression.length <= NOTION_MAX_EQUATION_LENGTH) {
+        repaired.push(segment);
+        return;
+      }
+      report(`Inline equation longer than ${NOTION_MAX_EQUATION_LENGTH} characters was kept as code text`);
+      splitText(expression, NOTION_MAX_TEXT_LENGTH).forEach(piece => {
+        repaired.push(createRichTextSegment(piece, { ...segment.annotations, code: true }));
+      });
+      return;
+    }
+    
+    if (segment.type !== 'text') {
+      repaired.push(segment);
+      return;
+    }
+    
+    let text = segment.text;
+    if (text.link?.url && text.link.url.length > NOTION_MAX_URL_LENGTH) {
+      report(`Link longer than ${NOTION_MAX_URL_LENGTH} characters was removed`);
+      text = { ...text, link: null };
+    }
+    
+    const content = text.content || '';
+    if (content.length <= NOTION_MAX_TEXT_LENGTH) {
+      repaired.push(text === segment.text ? segment : { ...segment, text });
+      return;
+    }
+    
+    const pieces = splitText(content, NOTION_MAX_TEXT_LENGTH);
+    report(`Text of ${content.length} characters was split into ${pieces.length} segments`);
+    pieces.forEach(piece => {
+      repaired.push({ ...segment, text: { ...text, content: piece } });
+    });
+  });
+  
+  return repaired;
+}
+
+/**
+ * Truncate a rich text array to Notion's 100-item limit, ending with a marker
+ * @param {Array} richText - Rich text segments
+ * @param {Function} report - Called with a description of the repair
+ * @returns {Array} Rich text with at most 100 items
+ */
+function truncateRichText(richText, report) {
+  if (richText.length <= NOTION_MAX_ARRAY_LENGTH) {
+    return richText;
+  }
+  
+  report(`${richText.length - NOTION_MAX_ARRAY_LENGTH + 1} of ${richText.length} text segments were cut (limit ${NOTION_MAX_ARRAY_LENGTH})`);
+  return [
+    ...richText.slice(0, NOTION_MAX_ARRAY_LENGTH - 1),
+    createRichTextSegment(' … [truncated]', { italic: true }),
+  ];
+}
+
+/**
+ * Replace a block whose URL Notion would reject with a placeholder callout
+ * @param {Object} block - Block with an over-long URL
+ * @param {string} url - The URL
+ * @returns {Object} Callout block
+ */
+function createLongUrlPlaceholder(block, url) {
+  return {
+    type: 'callout',
+    callout: {
+      rich_text: [
+        createRichTextSegment(`${block.type} could not be imported, its URL is longer than ${NOTION_MAX_URL_LENGTH} characters: `),
+        createRichTextSegment(`${url.substring(0, 200)}…`, { code: true }),
+      ],
+      icon: { emoji: '⚠️' },
+      color: 'yellow_background',
+    },
+  };
+}
+
+/**
+ * Check blocks against Notion's API limits and repair what can be repaired
+ * Blocks are repaired in place (lists may gain or swap blocks). Limits on
+ * children per array, nesting depth and payload size are handled when the
+ * blocks are chunked into requests (see detachDeepChildren and
+ * splitIntoRequestChunks); blocks that cannot fit any request are reported.
+ * @param {Array} blocks - Notion blocks
+ * @param {Array<number>} parentPath - Index path of the parent block
+ * @param {Array<Object>} repairs - Accumulator
+ * @returns {Array<Object>} Repairs { path, type, message }
+ */
+function validateAndRepairBlocks(blocks, parentPath = [], repairs = []) {
+  for (let index = 0; index < blocks.length; index++) {
+    const path = [...parentPath, index];
+    let block = blocks[index];
+    const report = (message) => repairs.push({ path: path.join('.'), type: block.type, message });
+    const data = block[block.type];
+    if (!data) continue;
+    
+    // Rich text: long text, links and equations
+    if (Array.isArray(data.rich_text)) {
+      data.rich_text = repairRichText(data.rich_text, report);
+    }
+    if (Array.isArray(data.caption)) {
+      data.caption = truncateRichText(repairRichText(data.caption, report), report);
+    }
+    if (block.type === 'table_row' && Array.isArray(data.cells)) {
+      data.cells = data.cells.map(cell => truncateRichText(repairRichText(cell, report), report));
+    }
+    
+    // Too many segments: paragraphs are split into several, other blocks truncated
+    if (Array.isArray(data.rich_text) && data.rich_text.length > NOTION_MAX_ARRAY_LENGTH) {
+      if (block.type === 'paragraph' && !data.children) {
+        const paragraphs = [];
+        for (let i = 0; i < data.rich_text.length; i += NOTION_MAX_ARRAY_LENGTH) {
+          paragraphs.push({
+            ...block,
+            paragraph: { ...data, rich_text: data.rich_text.slice(i, i + NOTION_MAX_ARRAY_LENGTH) },
+          });
+        }
+        report(`Paragraph with ${data.rich_text.length} text segments was split into ${paragraphs.length} paragraphs`);
+        blocks.splice(index, 1, ...paragraphs);
+        index += paragraphs.length - 1;
+        continue;
+      }
+      data.rich_text = truncateRichText(data.rich_text, report);
+    }
+    
+    // Block equations longer than Notion accepts are kept as LaTeX code
+    if (block.type === 'equation' && (data.expression || '').length > NOTION_MAX_EQUATION_LENGTH) {
+      report(`Equation longer than ${NOTION_MAX_EQUATION_LENGTH} characters was converted to a code block`);
+      block = createCodeBlock(data.expression, 'latex');
+      blocks[index] = block;
+      continue;
+    }
+    
+    // URLs
+    if (URL_BLOCK_TYPES.has(block.type)) {
+      const url = data.url || data.external?.url || '';
+      if (url.length > NOTION_MAX_URL_LENGTH) {
+        report(`URL longer than ${NOTION_MAX_URL_LENGTH} characters, replaced by a placeholder`);
+        blocks[index] = createLongUrlPlaceholder(block, url);
+        continue;
+      }
+    }
+    
+    // Tables: every row needs exactly table_width cells
+    if (block.type === 'table' && Array.isArray(data.children)) {
+      const widths = data.children.map(row => row.table_row?.cells?.length || 0);
+      const width = Math.max(data.table_width || 0, ...widths);
+      if (width !== data.table_width || widths.some(rowWidth => rowWidth !== width)) {
+        report(`Table rows had ${[...new Set(widths)].join('/')} cells; padded every row to ${width}`);
+        data.table_width = width;
+        data.children.forEach(row => {
+          while (row.table_row.cells.length < width) {
+            row.table_row.cells.push([]);
+          }
+        });
+      }
+    }
+    
+    if (Array.isArray(data.children)) {
+      validateAndRepairBlocks(data.children, path, repairs);
+    }
+    
+    // Blocks that cannot be split across requests on their own
+    if (parentPath.length === 0) {
+      const { payload } = detachDeepChildren([block]);
+      const bytes = getJsonByteSize(payload[0]);
+      const count = countBlocks(payload).total;
+      if (bytes > NOTION_MAX_PAYLOAD_BYTES || count > NOTION_MAX_PAYLOAD_BLOCKS) {
+        report(`Block is too large for a single Notion request (${Math.round(bytes / 1024)} KB, ${count} nested blocks) and may fail to upload`);
+      }
+    }
+  }
+  
+  return repairs;
+}
+
+// ============================================================================
+// Dry Run
+// ============================================================================
+// Stand-in for the id Notion assigns to the page created by the first request
+const DRY_RUN_NEW_PAGE_ID = '<new-page-id>';
+
+/**
+ * Plan the append requests appendBlocksToPage would make
+ * Blocks created by a request are referenced as "<request N block i.j>"
+ * because their real ids only exist once Notion has created them
+ * @param {string} parentId - Page or block ID (or placeholder)
+ * @param {Array} blocks - Blocks to append
+ * @param {Array<Object>} requests - Planned requests, appended to in place
+ */
+function planAppendRequests(parentId, blocks, requests) {
+  for (const chunk of splitIntoRequestChunks(blocks)) {
+    const { payload, deferred } = detachDeepChildren(chunk);
+    requests.push({
+      method: 'PATCH',
+      endpoint: `/blocks/${parentId}/children`,
+      body: { children: payload },
+    });
+    planDeferredRequests(requests.length, deferred, requests);
+  }
+}
+
+/**
+ * Plan the requests for children detached from request number requestNumber
+ * @param {number} requestNumber - 1-based number of the request that creates the parents
+ * @param {Array<{path: Array<number>, children: Array}>} deferred - Detached children
+ * @param {Array<Object>} requests - Planned requests, appended to in place
+ */
+function planDeferredRequests(requestNumber, deferred, requests) {
+  deferred.forEach(({ path, children }) => {
+    planAppendRequests(`<request ${requestNumber} block ${path.join('.')}>`, children, requests);
+  });
+}
+
+/**
+ * Build the requests an import would send, without changing anything in Notion
+ * Mirrors createNotionPage and updateNotionPage; only reads from Notion (the
+ * database schema, the page to update and its current content) so the planned
+ * bodies are the ones the import would send
+ * @param {Object} params - Same data as CREATE_NOTION_PAGE
+ * @returns {Promise<Object>} Dry run report { title, mode, blockCounts, requests, warnings }
+ */
+async function buildDryRun({ title, markdown, parentPageId, apiToken, sourceUrl, updatePageId, targetType, propertyMapping, metadata, uploadImages, deepHeadingStyle, colorPalette, resolveUser }) {
+  const { blocks, repairs } = buildPageBlocks(markdown, sourceUrl, { deepHeadingStyle, colorPalette, resolveUser });
+  const requests = [];
+  const warnings = repairs.map(repair => `Block ${repair.path} (${repair.type}): ${repair.message}`);
   
-  // Convert markdown to Notion blocks
-  let blocks = markdownToNotionBlocks(markdown || '');
+  let properties = null;
+  if (targetType === 'database') {
+    sendProgressUpdate(60, 'Reading database properties...');
+    const schema = await getDatabaseSchema(parentPageId, apiToken);
+    properties = await buildDatabaseProperties({ schema, propertyMapping, metadata, title, apiToken });
+  }
   
-  // Ensure blocks is always an array
-  if (!blocks || !Array.isArray(blocks)) {
-    console.warn('Confluence2Notion: markdownToNotionBlocks returned invalid result, using empty array');
-    blocks = [];
+  let existingPage = null;
+  if (updatePageId) {
+    sendProgressUpdate(65, 'Checking previously imported page...');
+    existingPage = await getUpdatablePage(updatePageId, apiToken);
+    if (!existingPage) {
+      warnings.push('The previously imported page is gone or archived; a new page would be created instead.');
+    }
   }
   
-  // If no blocks, add a placeholder paragraph
-  if (blocks.length === 0) {
-    console.warn('Confluence2Notion: No blocks generated, adding placeholder');
-    blocks.push({
-      type: 'paragraph',
-      paragraph: {
-        rich_text: [{ type: 'text', text: { content: '(Content could not be converted)' } }]
-      }
-    });
+  sendProgressUpdate(80, 'Planning requests...');
+  
+  const titleProperties = {
+    title: {
+      title: [{ text: { content: title } }],
+    },
+  };
+  
+  if (uploadImages && countBlocks(blocks).byType.image) {
+    warnings.push('Images are shown with their Confluence URLs; they are uploaded to Notion only during the import.');
   }
   
-  sendProgressUpdate(65, `Generated ${blocks.length} blocks`);
+  const imagePlaceholders = blocks.filter(block =>
+    block.type === 'callout' && block.callout.icon?.emoji === '🖼️'
+  ).length;
+  if (imagePlaceholders > 0) {
+    warnings.push(`${imagePlaceholders} image(s) have no usable URL and are replaced by a placeholder callout.`);
+  }
   
-  // Add source link if requested
-  if (sourceUrl) {
-    blocks.unshift({
-      type: 'callout',
-      callout: {
-        rich_text: [{
-          type: 'text',
-          text: {
-            content: 'Imported from Confluence: ',
-          },
-        }, {
-          type: 'text',
-          text: {
-            content: sourceUrl,
-            link: { url: sourceUrl },
-          },
-        }],
-        icon: { emoji: '📄' },
-        color: 'gray_background',
+  if (existingPage) {
+    const inTargetDatabase = properties &&
+      existingPage.parent?.database_id?.replace(/-/g, '') === parentPageId.replace(/-/g, '');
+    
+    const blocksToRemove = await listReplaceableBlocks(updatePageId, apiToken);
+    requests.push({
+      method: 'PATCH',
+      endpoint: `/pages/${updatePageId}`,
+      body: { properties: inTargetDatabase ? properties : titleProperties },
+    });
+    planAppendRequests(updatePageId, blocks, requests);
+    blocksToRemove.forEach(block => {
+      requests.push({ method: 'DELETE', endpoint: `/blocks/${block.id}`, body: null });
+    });
+  } else {
+    const [initialBlocks = [], ...otherChunks] = splitIntoRequestChunks(blocks);
+    const { payload, deferred } = detachDeepChildren(initialBlocks);
+    
+    requests.push({
+      method: 'POST',
+      endpoint: '/pages',
+      body: {
+        parent: targetType === 'database' ? { database_id: parentPageId } : { page_id: parentPageId },
+        properties: properties || titleProperties,
+        children: payload,
       },
     });
+    planDeferredRequests(1, deferred, requests);
+    planAppendRequests(DRY_RUN_NEW_PAGE_ID, otherChunks.flat(), requests);
   }
   
-  // Notion API limit: 100 blocks per request
-  const MAX_BLOCKS_PER_REQUEST = 100;
-  const initialBlocks = blocks.slice(0, MAX_BLOCKS_PER_REQUEST);
-  const remainingBlocks = blocks.slice(MAX_BLOCKS_PER_REQUEST);
-  
-  sendProgressUpdate(70, 'Creating page in Notion...');
+  const blockCounts = countBlocks(blocks);
   
-  // Create the page with initial blocks
-  const pageData = {
-    parent: { page_id: parentPageId },
-    properties: {
-      title: {
-        title: [{ text: { content: title } }],
-      },
+  return {
+    title,
+    mode: existingPage ? 'update' : 'create',
+    generatedAt: new Date().toISOString(),
+    blockCounts: {
+      topLevel: blocks.length,
+      total: blockCounts.total,
+      byType: blockCounts.byType,
     },
-    children: initialBlocks,
+    requestCount: requests.length,
+    requests,
+    warnings,
   };
+}
+
+// ============================================================================
+// Notion File Uploads
+// ============================================================================
+/**
+ * Derive a file name for an uploaded image from its URL
+ * @param {string} url - Image URL
+ * @param {string} contentType - MIME type reported by the server
+ * @returns {string} File name with extension
+ */
+function getImageFilename(url, contentType) {
+  let name = '';
+  try {
+    name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  } catch (error) {
+    // Keep the default name
+  }
   
-  const page = await notionRequest('/pages', 'POST', pageData, apiToken);
+  name = name.replace(/[^\w.\- ]/g, '_') || 'image';
+  if (!/\.[a-z0-9]{2,5}$/i.test(name)) {
+    const extension = (contentType || '').split('/')[1]?.split(/[+;]/)[0] || 'png';
+    name = `${name}.${extension === 'jpeg' ? 'jpg' : extension}`;
+  }
   
-  sendProgressUpdate(80, 'Page created, uploading content...');
+  return name;
+}
+
+/**
+ * Upload a file to Notion with a single-part file upload
+ * @param {Blob} blob - File contents
+ * @param {string} filename - File name
+ * @param {string} apiToken - API token
+ * @returns {Promise<string>} File upload ID, usable in file_upload block references
+ */
+async function uploadFileToNotion(blob, filename, apiToken) {
+  if (blob.size > NOTION_MAX_SINGLE_PART_UPLOAD_BYTES) {
+    throw new Error(`${filename} is larger than 20 MB`);
+  }
   
-  // Append remaining blocks if any
-  if (remainingBlocks.length > 0) {
-    const totalChunks = Math.ceil(remainingBlocks.length / MAX_BLOCKS_PER_REQUEST);
-    for (let i = 0; i < remainingBlocks.length; i += MAX_BLOCKS_PER_REQUEST) {
-      const chunk = remainingBlocks.slice(i, i + MAX_BLOCKS_PER_REQUEST);
-      const chunkIndex = Math.floor(i / MAX_BLOCKS_PER_REQUEST) + 1;
-      const progress = 80 + Math.floor((chunkIndex / totalChunks) * 15);
-      
-      sendProgressUpdate(progress, `Uploading blocks ${chunkIndex}/${totalChunks}...`);
-      await appendBlocksToPage(page.id, chunk, apiToken);
-    }
+  const contentType = blob.type || 'application/octet-stream';
+  const fileUpload = await notionRequest('/file_uploads', 'POST', {
+    filename,
+    content_type: contentType,
+  }, apiToken, importRequestOptions());
+  
+  const form = new FormData();
+  form.append('file', blob, filename);
+  
+  const sent = await notionRequest(`/file_uploads/${fileUpload.id}/send`, 'POST', form, apiToken, importRequestOptions());
+  if (sent.status && sent.status !== 'uploaded') {
+    throw new Error(`Upload of ${filename} ended with status "${sent.status}"`);
   }
   
-  sendProgressUpdate(95, 'Finalizing...');
+  return fileUpload.id;
+}
+
+/**
+ * Collect image blocks with external URLs, including nested ones
+ * @param {Array<Object>} blocks - Notion blocks
+ * @param {Array<Object>} found - Accumulator
+ * @returns {Array<Object>} Image blocks
+ */
+function collectExternalImageBlocks(blocks, found = []) {
+  blocks.forEach(block => {
+    if (block.type === 'image' && block.image?.type === 'external') {
+      found.push(block);
+    }
+    const children = block[block.type]?.children;
+    if (Array.isArray(children)) {
+      collectExternalImageBlocks(children, found);
+    }
+  });
   
-  return {
-    pageId: page.id,
-    pageUrl: page.url,
-  };
+  return found;
 }
 
 /**
- * Append blocks to an existing page (handles pagination)
- * @param {string} pageId - Page ID
- * @param {Array} blocks - Blocks to append
+ * Re-host the page's images in Notion
+ * Each image is downloaded with the user's Confluence session and uploaded
+ * through the file upload API. Images that fail keep their external URL.
+ * Uploads expire if not attached within an hour, so this runs right before
+ * the blocks are sent.
+ * @param {Array<Object>} blocks - Notion blocks, updated in place
  * @param {string} apiToken - API token
+ * @returns {Promise<Object>} Counts { uploaded, failed }
  */
-async function appendBlocksToPage(pageId, blocks, apiToken) {
-  const MAX_BLOCKS_PER_REQUEST = 100;
+async function uploadImageBlocks(blocks, apiToken) {
+  const imageBlocks = collectExternalImageBlocks(blocks);
+  let uploaded = 0;
+  let failed = 0;
   
-  // If blocks fit in one request, send them all
-  if (blocks.length <= MAX_BLOCKS_PER_REQUEST) {
-    await notionRequest(
-      `/blocks/${pageId}/children`,
-      'PATCH',
-      { children: blocks },
-      apiToken
-    );
-    return;
+  for (let i = 0; i < imageBlocks.length; i++) {
+    const block = imageBlocks[i];
+    const url = block.image.external.url;
+    
+    sendProgressUpdate(65 + Math.floor((i / imageBlocks.length) * 5),
+      `Uploading image ${i + 1}/${imageBlocks.length} to Notion...`);
+    
+    try {
+      const blob = await fetchConfluenceImage(url, importRequestOptions());
+      const fileUploadId = await uploadFileToNotion(blob, getImageFilename(url, blob.type), apiToken);
+      
+      block.image = {
+        type: 'file_upload',
+        file_upload: { id: fileUploadId },
+        caption: block.image.caption,
+      };
+      uploaded++;
+    } catch (error) {
+      throwIfImportCancelled();
+      console.warn('Confluence2Notion: Image upload failed, keeping external URL:', url, error);
+      sendImportWarning(`Image could not be uploaded and keeps linking to Confluence: ${url}`);
+      failed++;
+    }
   }
   
-  // Otherwise, split into chunks
-  for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_REQUEST) {
-    const chunk = blocks.slice(i, i + MAX_BLOCKS_PER_REQUEST);
-    await notionRequest(
-      `/blocks/${pageId}/children`,
-      'PATCH',
-      { children: chunk },
-      apiToken
-    );
-  }
+  return { uploaded, failed };
 }
 
 // ============================================================================
@@ -1676,7 +4658,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   if (message.type === 'CREATE_NOTION_PAGE') {
     // Handle async response
-    handleCreatePage(message.data)
+    const kind = message.data?.dryRun ? 'dry-run' : 'import';
+    trackImportJob(kind, message.data?.title, () => handleCreatePage(message.data), { jobId: message.data?.jobId })
       .then(result => {
         console.log('Confluence2Notion Background: Page creation result', result);
         try {
@@ -1697,6 +4680,82 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
   
+  if (message.type === 'GET_DATABASE_SCHEMA') {
+    Promise.resolve()
+      .then(() => getDatabaseSchema(extractAndValidatePageId(message.databaseId), message.apiToken))
+      .then(schema => sendResponse({ success: true, schema }))
+      .catch(error => sendResponse({ success: false, error: error.message || String(error) }));
+    
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === 'SEARCH_NOTION') {
+    searchNotionDestinations(message.query, message.apiToken)
+      .then(results => sendResponse({ success: true, results }))
+      .catch(error => sendResponse({ success: false, error: error.message || String(error) }));
+    
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === 'GET_PAGE_MAPPING') {
+    getPageMapping(message.confluencePageKey)
+      .then(mapping => sendResponse({ success: true, mapping }))
+      .catch(error => sendResponse({ success: false, error: error.message || String(error) }));
+    
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === 'LIST_NOTION_USERS') {
+    listNotionUsers(message.apiToken)
+      .then(users => sendResponse({ success: true, users: users.map(summarizeNotionUser) }))
+      .catch(error => sendResponse({ success: false, error: error.message || String(error) }));
+    
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === 'GET_USER_MAPPINGS') {
+    getUserMappings()
+      .then(mappings => sendResponse({ success: true, mappings }))
+      .catch(error => sendResponse({ success: false, error: error.message || String(error) }));
+    
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === 'SAVE_USER_MAPPINGS') {
+    saveUserMappings(message.mappings)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message || String(error) }));
+    
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === 'CANCEL_IMPORT') {
+    sendResponse({ success: cancelImport({ archivePage: message.archivePage }) });
+    return false;
+  }
+  
+  if (message.type === 'GET_IMPORT_JOB') {
+    getResumableImportJob()
+      .then(job => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({ success: false, error: error.message || String(error) }));
+    
+    return true; // Keep channel open for async response
+  }
+  
+  if (message.type === 'RESUME_IMPORT') {
+    trackImportJob('resume', null, handleResumeImport)
+      .then(result => {
+        console.log('Confluence2Notion Background: Resume result', result);
+        try {
+          sendResponse(result);
+        } catch (error) {
+          console.error('Confluence2Notion Background: Error sending response', error);
+        }
+      });
+    
+    return true; // Keep channel open for async response
+  }
+  
   // Return false if message type not handled
   return false;
 });
@@ -1768,7 +4827,22 @@ async function handleCreatePage(data) {
       hasApiToken: !!data?.apiToken 
     });
     
-    const { title, markdown, parentPageId, apiToken, sourceUrl } = data;
+    const {
+      title,
+      markdown,
+      parentPageId,
+      apiToken,
+      sourceUrl,
+      confluencePageKey,
+      updatePageId,
+      targetType,
+      propertyMapping,
+      metadata,
+      uploadImages,
+      rollbackOnFailure,
+      deepHeadingStyle,
+      colorPalette,
+    } = data;
     
     if (!apiToken) {
       throw new Error('Notion API token is required');
@@ -1786,22 +4860,116 @@ async function handleCreatePage(data) {
     const validatedPageId = extractAndValidatePageId(parentPageId);
     console.log('Confluence2Notion Background: Validated page ID', validatedPageId);
     
-    sendProgressUpdate(55, 'Starting page creation...');
-    
-    const result = await createNotionPage({
-      title,
-      markdown,
-      parentPageId: validatedPageId,
-      apiToken,
-      sourceUrl,
+    // People mentions, matched against the mapping table and workspace users
+    const resolveUser = await loadUserResolver(apiToken, {
+      autoMatch: markdown.includes('{user:'),
     });
     
-    console.log('Confluence2Notion Background: Page created successfully', result);
+    // Report what would be sent without changing the workspace
+    if (data.dryRun) {
+      const dryRun = await buildDryRun({
+        title,
+        markdown,
+        parentPageId: validatedPageId,
+        apiToken,
+        sourceUrl,
+        updatePageId,
+        targetType,
+        propertyMapping,
+        metadata,
+        uploadImages,
+        deepHeadingStyle,
+        colorPalette,
+        resolveUser,
+      });
+      return { success: true, dryRun };
+    }
+    
+    // Everything from here on can be cancelled from the popup
+    const { result, updated } = await runCancellableImport(async () => {
+      // Database entries carry mapped Confluence metadata as properties
+      let properties = null;
+      if (targetType === 'database') {
+        sendProgressUpdate(52, 'Reading database properties...');
+        const schema = await getDatabaseSchema(validatedPageId, apiToken, importRequestOptions());
+        properties = await buildDatabaseProperties({ schema, propertyMapping, metadata, title, apiToken });
+      }
+    
+      // Update the previously imported page if requested and it still exists
+      let updated = false;
+      let result;
+    
+      if (updatePageId) {
+        sendProgressUpdate(55, 'Checking previously imported page...');
+      
+        const existingPage = await getUpdatablePage(updatePageId, apiToken);
+        if (existingPage) {
+          // Mapped properties only apply if the page lives in the target database
+          const inTargetDatabase = properties &&
+            existingPage.parent?.database_id?.replace(/-/g, '') === validatedPageId.replace(/-/g, '');
+        
+          result = await updateNotionPage({
+            pageId: updatePageId,
+            title,
+            markdown,
+            apiToken,
+            sourceUrl,
+            properties: inTargetDatabase ? properties : null,
+            uploadImages,
+            deepHeadingStyle,
+            colorPalette,
+            resolveUser,
+          });
+          updated = true;
+        } else {
+          console.warn('Confluence2Notion Background: Previously imported page is gone, creating a new one', updatePageId);
+          if (confluencePageKey) {
+            await removePageMapping(confluencePageKey);
+          }
+        }
+      }
+    
+      if (!result) {
+        sendProgressUpdate(55, 'Starting page creation...');
+      
+        result = await createNotionPage({
+          title,
+          markdown,
+          parentPageId: validatedPageId,
+          apiToken,
+          sourceUrl,
+          confluencePageKey,
+          targetType,
+          properties,
+          uploadImages,
+          deepHeadingStyle,
+          colorPalette,
+          resolveUser,
+        });
+      }
+    
+      
+      return { result, updated };
+    }, { rollbackOnFailure: rollbackOnFailure === true });
+    
+    console.log('Confluence2Notion Background: Page import finished', { ...result, updated });
+    
+    if (confluencePageKey) {
+      await savePageMapping(confluencePageKey, {
+        notionPageId: result.pageId,
+        notionPageUrl: result.pageUrl,
+        title,
+      });
+    }
     
     return {
       success: true,
       pageUrl: result.pageUrl,
       pageId: result.pageId,
+      updated,
+      imageUploads: result.imageUploads,
+      repairs: result.repairs,
+      failures: result.failures,
     };
   } catch (error) {
     console.error('Confluence2Notion Background: Error creating page', error);
@@ -1809,6 +4977,36 @@ async function handleCreatePage(data) {
     return {
       success: false,
       error: error.message || String(error),
+      cancelled: error.cancelled === true,
+      archived: error.archived === true,
+      rollback: error.rollback,
+      notionError: describeNotionError(error),
+    };
+  }
+}
+
+/**
+ * Handle RESUME_IMPORT message
+ * @returns {Promise<Object>} Result
+ */
+async function handleResumeImport() {
+  try {
+    const result = await resumeImportJob();
+    
+    return {
+      success: true,
+      pageUrl: result.pageUrl,
+      pageId: result.pageId,
+      failures: result.failures,
+    };
+  } catch (error) {
+    console.error('Confluence2Notion Background: Error resuming import', error);
+    sendProgressUpdate(50, `Error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message || String(error),
+      cancelled: error.cancelled === true,
+      notionError: describeNotionError(error),
     };
   }
 }
@@ -1816,6 +5014,28 @@ async function handleCreatePage(data) {
 // ============================================================================
 // Image Download and Packaging
 // ============================================================================
+/**
+ * Download an image with the user's Confluence session
+ * @param {string} url - Image URL
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Aborts the download
+ * @returns {Promise<Blob>} Image data
+ */
+async function fetchConfluenceImage(url, { signal } = {}) {
+  // Fetch the image with CORS support
+  const response = await fetch(url, {
+    mode: 'cors',
+    credentials: 'include', // Include cookies for authenticated images
+    signal,
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  return response.blob();
+}
+
 /**
  * Download and package images into a ZIP file
  * @param {Object} data - Image data
@@ -1856,17 +5076,7 @@ async function handleDownloadAndPackageImages(data) {
       try {
         console.log(`Confluence2Notion Background: Downloading image ${i + 1}/${images.length}: ${image.filename}`);
         
-        // Fetch the image with CORS support
-        const response = await fetch(image.url, {
-          mode: 'cors',
-          credentials: 'include', // Include cookies for authenticated images
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const blob = await response.blob();
+        const blob = await fetchConfluenceImage(image.url);
         
         // Add to ZIP
         zip.file(image.filename, blob);
@@ -1928,3 +5138,6 @@ async function handleDownloadAndPackageImages(data) {
 // Initialization
 // ============================================================================
 console.log('Confluence2Notion: Background service worker started');
+
+// Pick up an import that was cut off when the previous worker was terminated
+recoverProgressLog().then(resumeInterruptedImport);
@@ -270,6 +270,9 @@ function extractContent(version) {
 function cleanupContent(element) {
   if (!element) return;
   
+  // Math first: MathJax keeps the LaTeX source in script tags
+  cleanupMathMacros(element);
+  
   // Remove scripts
   element.querySelectorAll('script').forEach(el => el.remove());
   
@@ -410,6 +413,93 @@ function cleanupContent(element) {
   cleanupEmptyElements(element);
 }
 
+/**
+ * Replace math macros and rendered formulas with their LaTeX source
+ * Display math becomes <div class="confluence-math" data-math-display>,
+ * inline math <span class="confluence-math">, both with the source in data-latex
+ * @param {HTMLElement} element - Element containing math
+ */
+function cleanupMathMacros(element) {
+  if (!element) return;
+  
+  const createMath = (latex, display) => {
+    const math = document.createElement(display ? 'div' : 'span');
+    math.className = 'confluence-math';
+    if (display) {
+      math.setAttribute('data-math-display', 'true');
+    }
+    math.setAttribute('data-latex', latex);
+    // Text keeps the element from being dropped as empty
+    math.textContent = latex;
+    return math;
+  };
+  
+  // Rendered formulas: MathJax script sources and KaTeX annotations
+  element.querySelectorAll('script[type^="math/tex"]').forEach(script => {
+    const latex = script.textContent.trim();
+    if (!latex) return;
+    
+    const display = script.type.includes('mode=display');
+    // Drop the rendered output MathJax placed before the source
+    const rendered = script.previousElementSibling;
+    if (rendered?.matches('.MathJax_Preview, .MathJax, .MathJax_Display, mjx-container')) {
+      rendered.remove();
+    }
+    script.replaceWith(createMath(latex, display));
+  });
+  
+  element.querySelectorAll('.katex').forEach(katex => {
+    const latex = katex.querySelector('annotation[encoding="application/x-tex"]')?.textContent.trim();
+    if (!latex) return;
+    
+    const display = !!katex.closest('.katex-display');
+    (display ? katex.closest('.katex-display') : katex).replaceWith(createMath(latex, display));
+  });
+  
+  // Math macros (LaTeX, MathJax and Math for Confluence apps)
+  const mathMacroSelectors = {
+    display: [
+      '[data-macro-name="mathblock"]',
+      '[data-macro-name="latex"]',
+      '[data-macro-name="mathjax-block-macro"]',
+      '[data-macro-name="latex-formatting"]',
+      '.latex-block',
+    ],
+    inline: [
+      '[data-macro-name="mathinline"]',
+      '[data-macro-name="mathjax-inline-macro"]',
+      '[data-macro-name="latex-inline"]',
+      '.latex-inline',
+    ],
+  };
+  
+  Object.entries(mathMacroSelectors).forEach(([mode, selectors]) => {
+    element.querySelectorAll(selectors.join(', ')).forEach(macro => {
+      if (!element.contains(macro)) return;
+      
+      // The source is in a parameter, the alt text of the rendered image,
+      // or the text of the macro itself
+      const latex = (macro.getAttribute('data-latex') ||
+                    macro.getAttribute('data-equation') ||
+                    macro.getAttribute('data-macro-body') ||
+                    macro.querySelector('img[alt]')?.getAttribute('alt') ||
+                    macro.textContent ||
+                    '').trim();
+      if (!latex) return;
+      
+      macro.replaceWith(createMath(latex, mode === 'display'));
+    });
+  });
+  
+  // LaTeX rendered as images
+  element.querySelectorAll('img.latex, img.latex-image, img.mathjax-image').forEach(img => {
+    const latex = img.getAttribute('alt')?.trim();
+    if (latex) {
+      img.replaceWith(createMath(latex, false));
+    }
+  });
+}
+
 /**
  * Handle Confluence-specific macros
  * @param {HTMLElement} element - Element containing macros
@@ -653,18 +743,8 @@ function cleanupMacros(element) {
                    panel.querySelector('.panel-content') ||
                    panel;
       
-      // IMPORTANT: Extract any code blocks (<pre>) from inside the panel
-      // Code blocks should NOT be inside the blockquote
-      const codeBlocksInside = body.querySelectorAll('pre');
-      const extractedCodeBlocks = [];
-      codeBlocksInside.forEach(pre => {
-        // Clone the pre element
-        const clone = pre.cloneNode(true);
-        extractedCodeBlocks.push(clone);
-        // Remove from body
-        pre.remove();
-      });
-      
+      // Code blocks, lists and tables stay inside the panel; they become
+      // child blocks of the callout
       const content = body.innerHTML || panel.innerHTML;
       const wrapper = document.createElement('blockquote');
       wrapper.setAttribute('data-panel-type', type);
@@ -673,50 +753,139 @@ function cleanupMacros(element) {
       
       // Replace the panel with the wrapper
       panel.replaceWith(wrapper);
-      
-      // Insert extracted code blocks AFTER the blockquote
-      if (extractedCodeBlocks.length > 0) {
-        let insertPoint = wrapper;
-        extractedCodeBlocks.forEach(codeBlock => {
-          insertPoint.after(codeBlock);
-          insertPoint = codeBlock;
-        });
-      }
     });
   });
   
-  // Expand macros (show content, remove expand functionality)
+  // Page layouts (section/column macros, Cloud layoutSection/layoutColumn)
+  // are kept as column markers. The column nodes are moved, not copied, so
+  // layouts and expands nested inside them are still found.
+  const layoutSectionSelector = [
+    '.columnLayout',
+    '.sectionMacro',
+    '[data-macro-name="section"]',
+    '[data-layout-section]',
+    '[data-node-type="layoutSection"]',
+  ].join(', ');
+  const layoutColumnSelector = [
+    '.columnLayout > .cell',
+    '.columnMacro',
+    '[data-macro-name="column"]',
+    '[data-layout-column]',
+    '[data-node-type="layoutColumn"]',
+  ].join(', ');
+  
+  element.querySelectorAll(layoutSectionSelector).forEach(section => {
+    if (!element.contains(section)) return;
+    
+    // Only the columns of this section, not those of a nested layout
+    const columns = Array.from(section.querySelectorAll(layoutColumnSelector))
+      .filter(column => column.parentElement.closest(layoutSectionSelector) === section)
+      .map(column => column.querySelector(':scope > .innerCell') || column)
+      .filter(column => column.textContent.trim() || column.querySelector('img'));
+    
+    if (columns.length === 0) return;
+    
+    // A single column is just content
+    if (columns.length === 1) {
+      section.replaceWith(...columns[0].childNodes);
+      return;
+    }
+    
+    const wrapper = document.createElement('div');
+    wrapper.className = 'confluence-columns';
+    columns.forEach(column => {
+      const columnEl = document.createElement('div');
+      columnEl.className = 'confluence-column';
+      columnEl.append(...column.childNodes);
+      wrapper.appendChild(columnEl);
+    });
+    section.replaceWith(wrapper);
+  });
+  
+  // Expand macros become toggles: keep the title and body, drop the controls
+  // The body nodes are moved (not copied) so nested expands are still found
   const expandSelectors = [
     '.expand-container',
+    '[data-macro-name="expand"]',
+    '[data-node-type="expand"]',
+    '.ak-expand',
     '.expand',
-    '.expand-control',
     '.collapsible',
     '.collapse',
-    '[data-macro-name="expand"]',
-    '.ak-expand',
   ];
   
   expandSelectors.forEach(selector => {
     element.querySelectorAll(selector).forEach(expand => {
-      const content = expand.querySelector('.expand-content') ||
-                     expand.querySelector('.expand-body') ||
-                     expand.querySelector('.collapsible-content') ||
-                     expand.querySelector('.collapse-content') ||
-                     expand.querySelector('.ak-expand-content');
+      // Skip expands that were already converted or replaced along with an ancestor
+      if (!element.contains(expand) || expand.classList.contains('confluence-expand')) return;
       
-      if (content) {
-        const div = document.createElement('div');
-        div.className = 'expanded-content';
-        div.innerHTML = content.innerHTML;
-        expand.replaceWith(div);
-      } else {
-        // If no content wrapper, just remove the expand button/control
-        const controls = expand.querySelectorAll('.expand-control, .expand-button, .collapse-button, .expand-toggle');
-        controls.forEach(ctrl => ctrl.remove());
-      }
+      const content = expand.querySelector(':scope > .expand-content') ||
+                     expand.querySelector(':scope > .expand-body') ||
+                     expand.querySelector(':scope > .collapsible-content') ||
+                     expand.querySelector(':scope > .collapse-content') ||
+                     expand.querySelector(':scope > .ak-expand-content') ||
+                     expand.querySelector('.expand-content, .expand-body, .collapsible-content, .collapse-content, .ak-expand-content');
+      
+      // Title and controls of nested expands live inside the body
+      const ownElements = (selectors) => Array.from(expand.querySelectorAll(selectors))
+        .filter(el => !content?.contains(el));
+      
+      const titleElement = ownElements(
+        '.expand-control-text, .expand-title, .ak-expand-title, [data-testid="expand-title"], .expand-control'
+      )[0];
+      const title = (expand.getAttribute('data-title') ||
+                    expand.getAttribute('data-macro-parameter-title') ||
+                    titleElement?.textContent ||
+                    '').replace(/\s+/g, ' ').trim() || 'Click here to expand...';
+      
+      // Remove the expand button/controls
+      titleElement?.remove();
+      ownElements('.expand-control, .expand-button, .collapse-button, .expand-toggle, .expand-icon')
+        .forEach(ctrl => ctrl.remove());
+      
+      const toggle = document.createElement('div');
+      toggle.className = 'confluence-expand';
+      toggle.setAttribute('data-expand-title', title);
+      toggle.append(...(content || expand).childNodes);
+      expand.replaceWith(toggle);
     });
   });
   
+  // Dates (Server <time> elements, Cloud date nodes); the ISO date is kept so
+  // the converter can create a Notion date mention
+  const dateSelectors = [
+    '[data-node-type="date"][data-timestamp]',
+    'time[datetime]',
+  ];
+  
+  element.querySelectorAll(dateSelectors.join(', ')).forEach(dateElement => {
+    // Skip <time> elements inside a date node that was already replaced
+    if (!element.contains(dateElement)) {
+      return;
+    }
+    
+    const timestamp = dateElement.getAttribute('data-timestamp');
+    const datetime = (dateElement.getAttribute('datetime') || '').trim();
+    let isoDate = null;
+    if (timestamp && /^\d+$/.test(timestamp)) {
+      // Cloud date nodes are whole days in UTC
+      isoDate = new Date(Number(timestamp)).toISOString().slice(0, 10);
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(datetime)) {
+      isoDate = datetime;
+    } else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(datetime) && !Number.isNaN(new Date(datetime).getTime())) {
+      isoDate = new Date(datetime).toISOString();
+    }
+    
+    const text = dateElement.textContent.trim();
+    if (isoDate) {
+      const span = document.createElement('span');
+      span.className = 'confluence-date';
+      span.setAttribute('data-date', isoDate);
+      span.textContent = text || isoDate;
+      dateElement.replaceWith(span);
+    }
+  });
+  
   // Status macros / Lozenge badges
   const statusSelectors = [
     '.status-macro',
@@ -754,16 +923,28 @@ function cleanupMacros(element) {
   
   userMentionSelectors.forEach(selector => {
     element.querySelectorAll(selector).forEach(mention => {
-      const username = mention.getAttribute('data-username') ||
-                      mention.getAttribute('data-user-key') ||
-                      mention.textContent.trim() ||
-                      mention.getAttribute('title') ||
-                      '';
+      // Everything that identifies the user, for the Notion people mapping:
+      // Server usernames and user keys, Cloud account ids, profile links, emails
+      const profile = (mention.getAttribute('href') || '').match(/\/(?:display\/~|people\/)([^/?#]+)/);
+      const identifiers = [
+        mention.getAttribute('data-username'),
+        mention.getAttribute('data-user-key'),
+        mention.getAttribute('data-account-id'),
+        mention.getAttribute('data-mention-id'),
+        profile && decodeURIComponent(profile[1]),
+        mention.getAttribute('data-email'),
+      ].filter(identifier => identifier && /^[^\s,{}]+$/.test(identifier));
       
-      if (username) {
+      const name = mention.textContent.trim().replace(/^@/, '') ||
+                   mention.getAttribute('title') ||
+                   identifiers[0] ||
+                   '';
+      
+      if (name) {
         const span = document.createElement('span');
         span.className = 'confluence-user-mention';
-        span.textContent = `@${username}`;
+        span.setAttribute('data-user-ids', [...new Set(identifiers)].join(','));
+        span.textContent = `@${name}`;
         mention.replaceWith(span);
       }
     });
@@ -792,8 +973,8 @@ function cleanupMacros(element) {
     });
   });
   
-  // Table of Contents macro (remove completely - not needed in Notion)
-  // TOC is auto-generated in Notion, so we don't need to convert it
+  // Table of Contents macro (replaced by a marker for Notion's own TOC block,
+  // which lists the headings of the imported page)
   const tocSelectors = [
     '.toc-macro',
     '.table-of-contents',
@@ -811,8 +992,13 @@ function cleanupMacros(element) {
   
   tocSelectors.forEach(selector => {
     element.querySelectorAll(selector).forEach(toc => {
-      // Remove TOC completely - Notion has its own TOC feature
-      toc.remove();
+      // Skip parts of a TOC that was already replaced
+      if (!element.contains(toc)) return;
+      
+      const marker = document.createElement('div');
+      marker.className = 'confluence-toc';
+      marker.textContent = 'Table of contents';
+      toc.replaceWith(marker);
     });
   });
   
@@ -834,6 +1020,63 @@ function cleanupMacros(element) {
     }
   });
   
+  // Media macros (widget connector, multimedia, Cloud embed cards) become
+  // embed markers; the converter picks the Notion block. Bare frames are left
+  // alone since other macros (such as diagrams) render through them too
+  const mediaSelectors = [
+    '[data-macro-name="widget"]',
+    '[data-macro-name="multimedia"]',
+    '[data-macro-name="iframe"]',
+    '.widget-connector',
+    '.embedCardView-content-wrap',
+    '[data-node-type="embedCard"]',
+    '[data-embed-card-url]',
+  ];
+  
+  mediaSelectors.forEach(selector => {
+    element.querySelectorAll(selector).forEach(media => {
+      if (!element.contains(media)) return;
+      
+      const source = media.querySelector('iframe[src], video[src], embed[src], a[href]');
+      const rawUrl = media.getAttribute('data-embed-card-url') ||
+                    media.getAttribute('data-card-url') ||
+                    media.getAttribute('data-url') ||
+                    media.getAttribute('data-macro-parameter-url') ||
+                    source?.getAttribute('src') ||
+                    source?.getAttribute('href') ||
+                    '';
+      if (!rawUrl) return;
+      
+      // Attached videos use page-relative URLs
+      let url;
+      try {
+        url = new URL(rawUrl, window.location.href).href;
+      } catch (error) {
+        return;
+      }
+      if (!/^https?:\/\//i.test(url)) return;
+      
+      // Attached videos need the Confluence session, so Notion could not
+      // play them; keep them as attachment links instead
+      if (url.includes('/download/attachments/')) {
+        const link = document.createElement('a');
+        link.className = 'confluence-embedded-file';
+        link.href = url;
+        link.textContent = media.getAttribute('data-macro-parameter-name') ||
+                          decodeURIComponent(new URL(url).pathname.split('/').pop()) ||
+                          url;
+        media.replaceWith(link);
+        return;
+      }
+      
+      const embed = document.createElement('div');
+      embed.className = 'confluence-embed';
+      embed.setAttribute('data-embed-url', url);
+      embed.textContent = url;
+      media.replaceWith(embed);
+    });
+  });
+  
   // Diagram and flowchart macros (draw.io, Gliffy, etc.)
   const diagramSelectors = [
     '.diagram-macro',
@@ -886,7 +1129,8 @@ function cleanupMacros(element) {
     element.querySelectorAll(selector).forEach(panel => {
       // Check if it's already an info panel (handled above)
       if (panel.classList.contains('confluence-information-macro') ||
-          panel.classList.contains('information-macro')) {
+          panel.classList.contains('information-macro') ||
+          panel.hasAttribute('data-panel-type')) {
         return; // Skip, already handled
       }
       
@@ -996,6 +1240,9 @@ function getPageMetadata() {
     space: extractSpaceKey(),
     pageId: extractPageId(),
     spaceName: extractSpaceName(),
+    author: extractAuthor(),
+    lastModified: extractLastModified(),
+    labels: extractLabels(),
   };
 }
 
@@ -1039,6 +1286,10 @@ function extractPageId() {
   const paramMatch = url.match(/[?&]pageId=(\d+)/);
   if (paramMatch) return paramMatch[1];
   
+  // Server pages addressed by title (/display/SPACE/Title) expose the ID in meta tags
+  const metaPageId = document.querySelector('meta[name="ajs-page-id"]')?.getAttribute('content');
+  if (metaPageId) return metaPageId;
+  
   return null;
 }
 
@@ -1062,6 +1313,93 @@ function extractSpaceName() {
   return null;
 }
 
+/**
+ * Extract the page author (if available in DOM)
+ * @returns {Object|null} Author { name, username, email }
+ */
+function extractAuthor() {
+  const authorSelectors = [
+    // Server / Data Center byline
+    '.page-metadata .author a',
+    '.page-metadata-modification-info .author a',
+    '.author .confluence-userlink',
+    // Confluence Cloud byline
+    '[data-testid="byline-author"]',
+    '[data-test-id="byline-author"]',
+    '[data-testid="page-byline"] a[href*="/people/"]',
+  ];
+  
+  for (const selector of authorSelectors) {
+    const element = document.querySelector(selector);
+    const name = element?.textContent?.trim();
+    if (name) {
+      return {
+        name,
+        username: element.getAttribute('data-username') || element.getAttribute('data-user-key') || null,
+        email: element.getAttribute('data-email') || null,
+      };
+    }
+  }
+  
+  const metaCreator = document.querySelector('meta[name="ajs-creator-name"], meta[name="author"]');
+  const creator = metaCreator?.getAttribute('content')?.trim();
+  if (creator) {
+    return { name: creator, username: null, email: null };
+  }
+  
+  return null;
+}
+
+/**
+ * Extract the last-modified date (if available in DOM)
+ * @returns {string|null} ISO 8601 date string
+ */
+function extractLastModified() {
+  // Prefer machine-readable timestamps
+  const timeElement = document.querySelector(
+    '.page-metadata time[datetime], [data-testid="page-byline"] time[datetime], ' +
+    '[data-testid="content-byline"] time[datetime], .last-modified time[datetime]'
+  );
+  const candidates = [
+    timeElement?.getAttribute('datetime'),
+    document.querySelector('meta[name="ajs-page-last-modified"], meta[property="article:modified_time"]')?.getAttribute('content'),
+    document.querySelector('.page-metadata .last-modified, a.last-modified')?.textContent?.trim(),
+  ];
+  
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const date = new Date(candidate);
+    if (!Number.isNaN(date.getTime())) {
+      return date.toISOString();
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Extract page labels (if available in DOM)
+ * @returns {Array<string>} Label names
+ */
+function extractLabels() {
+  // Label links are only read inside the labels section: the page body can
+  // link to label pages too, and those are not labels of this page
+  const labelElements = document.querySelectorAll(
+    '#labels-section .label, .labels-content .aui-label a, .label-list a.label, ' +
+    '[data-testid="labels-section"] a, #labels-section a[href*="/label/"], .labels-content a[href*="/label/"]'
+  );
+  
+  const labels = new Set();
+  labelElements.forEach(element => {
+    const label = element.textContent?.trim();
+    if (label) {
+      labels.add(label);
+    }
+  });
+  
+  return Array.from(labels);
+}
+
 // ============================================================================
 // Public API
 // ============================================================================
@@ -43,7 +43,8 @@
             isConfluence: true,
             title: document.title || 'Confluence Page',
             url: window.location.href,
-            version: 'fallback'
+            version: 'fallback',
+            metadata: window.ConfluenceParser?.getPageMetadata?.() || null,
           });
           return true;
         }
@@ -116,6 +117,134 @@
 // ============================================================================
 // Turndown Configuration
 // ============================================================================
+/**
+ * Prefix every line of Markdown with the blockquote marker
+ * @param {string} markdown - Markdown to quote
+ * @returns {string} Quoted Markdown
+ */
+function quoteMarkdown(markdown) {
+  return markdown
+    .split('\n')
+    .map(line => (line.trim() ? `> ${line}` : '>'))
+    .join('\n');
+}
+
+/**
+ * Normalize a CSS color to #rrggbb, keeping plain color names
+ * @param {string|null} value - CSS color, e.g. rgb(222, 53, 11) or var(--ds-text-red, #ae2e24)
+ * @returns {string|null} Normalized color, or null if there is none
+ */
+function normalizeCssColor(value) {
+  const color = (value || '').trim().toLowerCase();
+  
+  // Design tokens carry the actual color as their fallback
+  const token = color.match(/^var\([^,]+,\s*(.+)\)$/);
+  if (token) {
+    return normalizeCssColor(token[1]);
+  }
+  
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})(?:[0-9a-f]{2})?$/);
+  if (hex) {
+    return `#${hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1]}`;
+  }
+  
+  const rgb = color.match(/^rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)(?:[,\s/]+([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    if (rgb[4] !== undefined && parseFloat(rgb[4]) === 0) {
+      return null;
+    }
+    return '#' + rgb.slice(1, 4).map(channel => Math.min(255, Number(channel)).toString(16).padStart(2, '0')).join('');
+  }
+  
+  if (/^[a-z]+$/.test(color) && !['inherit', 'initial', 'unset', 'transparent', 'currentcolor', 'none'].includes(color)) {
+    return color;
+  }
+  return null;
+}
+
+/**
+ * Read the text color and highlight Confluence set on an inline element
+ * (Server inline styles, Cloud data-*-custom-color attributes, <font>, <mark>)
+ * @param {Element} node - Inline element
+ * @returns {{color: string|null, background: string|null}} Normalized colors
+ */
+function getTextColors(node) {
+  if (!['SPAN', 'FONT', 'MARK'].includes(node.nodeName)) {
+    return { color: null, background: null };
+  }
+  
+  const color = normalizeCssColor(
+    node.getAttribute('data-text-custom-color') || node.style?.color || node.getAttribute('color')
+  );
+  const background = normalizeCssColor(
+    node.getAttribute('data-background-custom-color') ||
+    node.getAttribute('data-highlight-colour') ||
+    node.style?.backgroundColor
+  ) || (node.nodeName === 'MARK' ? 'yellow' : null);
+  
+  return { color, background };
+}
+
+/**
+ * Wrap inline Markdown in opening and closing markers
+ * @param {string} markdown - Inline Markdown
+ * @param {string} open - Opening marker
+ * @param {string} close - Closing marker
+ * @returns {string} Wrapped Markdown; whitespace around it and multi-line content stay unwrapped
+ */
+function wrapInlineMarkdown(markdown, open, close) {
+  const [, leading, text, trailing] = markdown.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!text || text.includes('\n')) {
+    return markdown;
+  }
+  return `${leading}${open}${text}${close}${trailing}`;
+}
+
+/**
+ * Wrap inline Markdown in a color marker that closes on its value, so
+ * markers of other colors can nest inside it
+ * @param {string} markdown - Inline Markdown
+ * @param {string} kind - 'color' or 'highlight'
+ * @param {string} value - Color value
+ * @returns {string} Wrapped Markdown
+ */
+function wrapColorMarker(markdown, kind, value) {
+  const open = `{${kind}:${value}}`;
+  const close = `{/${kind}:${value}}`;
+  // The same color nested inside adds nothing and would end the outer marker early
+  const flattened = markdown.split(open).join('').split(close).join('');
+  const wrapped = wrapInlineMarkdown(flattened, open, close);
+  return wrapped === flattened ? markdown : wrapped;
+}
+
+/**
+ * Wrap inline Markdown in color markers: {color:#hex}text{/color:#hex} and
+ * {highlight:#hex}text{/highlight:#hex}
+ * @param {string} markdown - Inline Markdown
+ * @param {{color: string|null, background: string|null}} colors - Colors from getTextColors
+ * @returns {string} Marked Markdown
+ */
+function markTextColors(markdown, { color, background }) {
+  let marked = markdown;
+  if (background) {
+    marked = wrapColorMarker(marked, 'highlight', background);
+  }
+  if (color) {
+    marked = wrapColorMarker(marked, 'color', color);
+  }
+  return marked;
+}
+
+/**
+ * Check whether an element underlines its text (<u>, <ins> or an inline style)
+ * @param {Element} node - Inline element
+ * @returns {boolean} True if underlined
+ */
+function isUnderlined(node) {
+  return node.nodeName === 'U' || node.nodeName === 'INS' ||
+    (node.nodeName === 'SPAN' && /underline/.test(node.style?.textDecoration || node.style?.textDecorationLine || ''));
+}
+
 /**
  * Initialize and configure Turndown service
  * @returns {TurndownService} Configured Turndown instance
@@ -289,7 +418,9 @@ function initTurndown() {
         return `\n> ${emoji}\n\n`;
       }
       
-      return `\n> ${emoji} ${cleanedContent}\n\n`;
+      // The emoji gets a line of its own so content starting with a list
+      // or table keeps its structure
+      return `\n> ${emoji}\n>\n${quoteMarkdown(cleanedContent)}\n\n`;
     },
   });
   
@@ -301,7 +432,7 @@ function initTurndown() {
     replacement: (content, node) => {
       // Preserve the content structure, convert to callout format
       const cleanedContent = content.trim().replace(/\n{3,}/g, '\n\n');
-      return `\n> 💡 ${cleanedContent}\n\n`;
+      return `\n> 💡\n>\n${quoteMarkdown(cleanedContent)}\n\n`;
     },
   });
   
@@ -364,6 +495,48 @@ function initTurndown() {
     replacement: (content) => `\`${content}\``,
   });
   
+  // Text colors and highlights, resolved to Notion colors by the worker
+  turndownService.addRule('textColor', {
+    filter: (node) => {
+      const { color, background } = getTextColors(node);
+      return Boolean(color || background);
+    },
+    replacement: (content, node) => markTextColors(content, getTextColors(node)),
+  });
+  
+  // User mentions keep the Confluence identifiers for the Notion people mapping
+  turndownService.addRule('userMention', {
+    filter: (node) => {
+      return node.nodeName === 'SPAN' && node.classList.contains('confluence-user-mention');
+    },
+    replacement: (content, node) => {
+      return `{user:${node.getAttribute('data-user-ids') || ''}}${node.textContent.trim()}{user}`;
+    },
+  });
+  
+  // Dates keep their ISO value for Notion date mentions
+  turndownService.addRule('dateMention', {
+    filter: (node) => {
+      return node.nodeName === 'SPAN' && node.classList.contains('confluence-date');
+    },
+    replacement: (content, node) => `{date:${node.getAttribute('data-date')}}${node.textContent.trim()}{date}`,
+  });
+  
+  // Underline, superscript and subscript stay HTML tags in the Markdown; the
+  // underline rule also keeps the colors of an underlined span
+  turndownService.addRule('underline', {
+    filter: (node) => isUnderlined(node),
+    replacement: (content, node) => markTextColors(wrapInlineMarkdown(content, '<u>', '</u>'), getTextColors(node)),
+  });
+  
+  turndownService.addRule('superscriptSubscript', {
+    filter: ['sup', 'sub'],
+    replacement: (content, node) => {
+      const tag = node.nodeName.toLowerCase();
+      return wrapInlineMarkdown(content, `<${tag}>`, `</${tag}>`);
+    },
+  });
+  
   // Handle images - preserve src
   turndownService.addRule('images', {
     filter: 'img',
@@ -437,6 +610,70 @@ function initTurndown() {
     },
   });
   
+  // Math from LaTeX/MathJax macros: $$ blocks for display math, \( \) inline
+  turndownService.addRule('math', {
+    filter: (node) => {
+      return node.classList?.contains('confluence-math');
+    },
+    replacement: (content, node) => {
+      const latex = (node.getAttribute('data-latex') || '').trim();
+      if (node.hasAttribute('data-math-display')) {
+        // A blank line ends a display math block; TeX rejects them in math anyway
+        return `\n\n$$\n${latex.replace(/\n\s*\n/g, '\n')}\n$$\n\n`;
+      }
+      // Inline equations are a single line of Markdown
+      return `\\(${latex.replace(/\s*\n\s*/g, ' ')}\\)`;
+    },
+  });
+  
+  // Table of contents macro marker, becomes a Notion table_of_contents block
+  turndownService.addRule('tableOfContents', {
+    filter: (node) => {
+      return node.nodeName === 'DIV' && node.classList.contains('confluence-toc');
+    },
+    replacement: () => '\n\n[TOC]\n\n',
+  });
+  
+  // Media macro marker, becomes a Notion video or embed block
+  turndownService.addRule('mediaEmbed', {
+    filter: (node) => {
+      return node.nodeName === 'DIV' && node.classList.contains('confluence-embed');
+    },
+    replacement: (content, node) => `\n\n::embed ${node.getAttribute('data-embed-url')}\n\n`,
+  });
+  
+  // Custom rule for Confluence expand macros (converted to toggle containers)
+  // This and the math and layout rules are added last so they win over
+  // content-based rules such as flowchart
+  turndownService.addRule('expandToggle', {
+    filter: (node) => {
+      return node.nodeName === 'DIV' && node.classList.contains('confluence-expand');
+    },
+    replacement: (content, node) => {
+      const title = node.getAttribute('data-expand-title') || 'Click here to expand...';
+      const cleanedContent = content.trim().replace(/\n{3,}/g, '\n\n');
+      return `\n\n:::toggle ${title}\n\n${cleanedContent}\n\n:::\n\n`;
+    },
+  });
+  
+  // Custom rules for Confluence page layouts (converted to column containers)
+  turndownService.addRule('columnLayout', {
+    filter: (node) => {
+      return node.nodeName === 'DIV' && node.classList.contains('confluence-columns');
+    },
+    replacement: (content) => `\n\n:::columns\n\n${content.trim()}\n\n:::\n\n`,
+  });
+  
+  turndownService.addRule('layoutColumn', {
+    filter: (node) => {
+      return node.nodeName === 'DIV' && node.classList.contains('confluence-column');
+    },
+    replacement: (content) => {
+      const cleanedContent = content.trim().replace(/\n{3,}/g, '\n\n');
+      return `\n\n:::column\n\n${cleanedContent}\n\n:::\n\n`;
+    },
+  });
+  
   return turndownService;
 }
 
@@ -619,6 +856,7 @@ function handleCheckPage() {
       title: title,
       url: window.location.href,
       version: detection.version,
+      metadata: window.ConfluenceParser.getPageMetadata(),
     };
   } catch (error) {
     console.error('Confluence2Notion: Error in handleCheckPage', error);
@@ -716,6 +954,30 @@ function convertTableToMarkdown(tableElement) {
         el.replaceWith(`**${boldText}**`);
       });
       
+      // Keep mentions, dates, underline, superscript, subscript and colors,
+      // innermost first so nested markers survive
+      Array.from(tempDiv.querySelectorAll('u, ins, sup, sub, span, font, mark')).reverse().forEach(el => {
+        let text = el.textContent || '';
+        if (el.classList.contains('confluence-user-mention')) {
+          el.replaceWith(`{user:${el.getAttribute('data-user-ids') || ''}}${text.trim()}{user}`);
+          return;
+        }
+        if (el.classList.contains('confluence-date')) {
+          el.replaceWith(`{date:${el.getAttribute('data-date')}}${text.trim()}{date}`);
+          return;
+        }
+        if (isUnderlined(el)) {
+          text = wrapInlineMarkdown(text, '<u>', '</u>');
+        } else if (el.nodeName === 'SUP' || el.nodeName === 'SUB') {
+          const tag = el.nodeName.toLowerCase();
+          text = wrapInlineMarkdown(text, `<${tag}>`, `</${tag}>`);
+        }
+        const colors = getTextColors(el);
+        if (text !== el.textContent || colors.color || colors.background) {
+          el.replaceWith(markTextColors(text, colors));
+        }
+      });
+      
       text = (tempDiv.textContent || '').trim()
         .replace(/\n+/g, ' ')
         .replace(/\s+/g, ' ')
@@ -780,12 +1042,15 @@ function preprocessTablesInHtml(htmlContent) {
   const preElements = container.querySelectorAll('pre, code');
   preElements.forEach(pre => {
     const nestedTables = pre.querySelectorAll('table');
+    if (nestedTables.length === 0) return;
+    
     nestedTables.forEach(table => {
       console.log('Confluence2Notion: Found table inside pre/code, extracting');
       // Move the table out of the pre element
       pre.parentNode.insertBefore(table, pre);
     });
     // If the pre element is now empty or only has whitespace, remove it
+    // (plain code blocks have no child elements and must be kept)
     if (pre.textContent.trim() === '' || pre.querySelectorAll('*').length === 0) {
       pre.remove();
     }
@@ -843,6 +1108,11 @@ function handleGetMarkdown(options = {}) {
     // Convert to Markdown
     let markdown = turndownService.turndown(processedHtml);
     
+    // Drop table of contents markers when the TOC should not be imported
+    if (options.includeTableOfContents === false) {
+      markdown = markdown.replace(/^\[TOC\]$/gm, '');
+    }
+    
     // Clean up markdown
     markdown = cleanupMarkdown(markdown);
     
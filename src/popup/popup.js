@@ -10,15 +10,57 @@ const STORAGE_KEYS = {
   API_TOKEN: 'notionApiToken',
   PARENT_PAGE_ID: 'defaultParentPageId',
   INCLUDE_IMAGES: 'includeImages',
+  UPLOAD_IMAGES: 'uploadImages',
+  ROLLBACK_ON_FAILURE: 'rollbackOnFailure',
   ADD_SOURCE_LINK: 'addSourceLink',
+  INCLUDE_TOC: 'includeTableOfContents',
+  DEEP_HEADING_STYLE: 'deepHeadingStyle',
+  COLOR_PALETTE: 'colorPalette',
+  TARGET_TYPE: 'targetType',
+  TARGET_TITLE: 'defaultParentTitle',
 };
 
+// Colors a palette entry may map a Confluence color to
+const NOTION_COLORS = ['default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+
+// Recently chosen destinations are kept locally, newest first
+const RECENT_DESTINATIONS_KEY = 'recentDestinations';
+const MAX_RECENT_DESTINATIONS = 5;
+
+// Port the background worker streams import events on
+const PROGRESS_PORT_NAME = 'import-progress';
+
+// How long to wait for the worker's job snapshot when the popup opens
+const ATTACH_TIMEOUT_MS = 2000;
+
+// Delay between the last keystroke and the Notion search request
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Property mappings are stored per database, separately from the settings above
+const PROPERTY_MAPPINGS_KEY = 'databasePropertyMappings';
+
+// Confluence fields that can be mapped onto database properties,
+// with the Notion property types each field can be written to
+const DATABASE_FIELDS = [
+  { key: 'spaceKey', label: 'Space key', types: ['select', 'multi_select', 'rich_text'] },
+  { key: 'spaceName', label: 'Space name', types: ['select', 'multi_select', 'rich_text'] },
+  { key: 'pageId', label: 'Page ID', types: ['rich_text', 'number'] },
+  { key: 'sourceUrl', label: 'Source URL', types: ['url', 'rich_text'] },
+  { key: 'author', label: 'Author', types: ['people', 'rich_text', 'select'] },
+  { key: 'lastModified', label: 'Last modified', types: ['date'] },
+  { key: 'labels', label: 'Labels', types: ['multi_select', 'rich_text'] },
+];
+
 // ============================================================================
 // DOM Elements
 // ============================================================================
 const views = {
   settings: document.getElementById('settings-view'),
   main: document.getElementById('main-view'),
+  mapping: document.getElementById('mapping-view'),
+  people: document.getElementById('people-view'),
+  picker: document.getElementById('picker-view'),
+  dryRun: document.getElementById('dry-run-view'),
   processing: document.getElementById('processing-view'),
   success: document.getElementById('success-view'),
   error: document.getElementById('error-view'),
@@ -28,30 +70,86 @@ const views = {
 const elements = {
   // Settings
   apiToken: document.getElementById('api-token'),
+  targetType: document.getElementById('target-type'),
   parentPageId: document.getElementById('parent-page-id'),
+  browseDestinations: document.getElementById('browse-destinations'),
   saveSettings: document.getElementById('save-settings'),
   
   // Main
   confluenceTitle: document.getElementById('confluence-title'),
   targetPage: document.getElementById('target-page'),
   changeTarget: document.getElementById('change-target'),
+  existingImport: document.getElementById('existing-import'),
+  existingPageLink: document.getElementById('existing-page-link'),
+  updateExisting: document.getElementById('update-existing'),
   includeImages: document.getElementById('include-images'),
+  uploadImages: document.getElementById('upload-images'),
+  rollbackOnFailure: document.getElementById('rollback-on-failure'),
   addSourceLink: document.getElementById('add-source-link'),
+  includeToc: document.getElementById('include-toc'),
+  deepHeadingStyle: document.getElementById('deep-heading-style'),
+  colorPalette: document.getElementById('color-palette'),
+  mapProperties: document.getElementById('map-properties'),
+  mapPeople: document.getElementById('map-people'),
   sendToNotion: document.getElementById('send-to-notion'),
+  dryRun: document.getElementById('dry-run'),
   downloadInternalImages: document.getElementById('download-internal-images'),
   openSettings: document.getElementById('open-settings'),
   
+  // Destination picker
+  pickerSearch: document.getElementById('picker-search'),
+  pickerRecent: document.getElementById('picker-recent'),
+  pickerRecentList: document.getElementById('picker-recent-list'),
+  pickerResults: document.getElementById('picker-results'),
+  pickerStatus: document.getElementById('picker-status'),
+  pickerBack: document.getElementById('picker-back'),
+  
+  // Mapping
+  mappingDatabaseTitle: document.getElementById('mapping-database-title'),
+  mappingFields: document.getElementById('mapping-fields'),
+  saveMapping: document.getElementById('save-mapping'),
+  mappingBack: document.getElementById('mapping-back'),
+  
+  // People mapping
+  peopleRows: document.getElementById('people-rows'),
+  peopleAdd: document.getElementById('people-add'),
+  peopleStatus: document.getElementById('people-status'),
+  peopleAutoMatch: document.getElementById('people-auto-match'),
+  peopleImportCsv: document.getElementById('people-import-csv'),
+  peopleCsv: document.getElementById('people-csv'),
+  savePeople: document.getElementById('save-people'),
+  peopleBack: document.getElementById('people-back'),
+  
   // Processing
   processingStatus: document.getElementById('processing-status'),
   progress: document.getElementById('progress'),
   progressPercentage: document.getElementById('progress-percentage'),
+  processingWarnings: document.getElementById('processing-warnings'),
+  cancelImport: document.getElementById('cancel-import'),
   
   // Success
+  successMessage: document.getElementById('success-message'),
+  importFailures: document.getElementById('import-failures'),
+  importFailuresSummary: document.getElementById('import-failures-summary'),
+  importFailuresList: document.getElementById('import-failures-list'),
   notionLink: document.getElementById('notion-link'),
   done: document.getElementById('done'),
   
+  // Dry run
+  dryRunSummary: document.getElementById('dry-run-summary'),
+  dryRunWarnings: document.getElementById('dry-run-warnings'),
+  dryRunJson: document.getElementById('dry-run-json'),
+  viewDryRunJson: document.getElementById('view-dry-run-json'),
+  downloadDryRun: document.getElementById('download-dry-run'),
+  dryRunBack: document.getElementById('dry-run-back'),
+  
   // Error
   errorMessage: document.getElementById('error-message'),
+  errorRemediation: document.getElementById('error-remediation'),
+  errorRemediationText: document.getElementById('error-remediation-text'),
+  errorDetails: document.getElementById('error-details'),
+  rollbackNotice: document.getElementById('rollback-notice'),
+  resumeImport: document.getElementById('resume-import'),
   retry: document.getElementById('retry'),
   back: document.getElementById('back'),
 };
@@ -63,11 +161,30 @@ let currentState = {
   isConfluencePage: false,
   pageTitle: '',
   pageUrl: '',
+  pageMetadata: null,
+  existingMapping: null,
+  databaseSchema: null,
+  notionUsers: [],
+  dryRunResult: null,
+  lastRunWasDryRun: false,
+  picker: {
+    returnView: 'main',
+    searchTimer: null,
+    searchSequence: 0,
+    picked: null,
+  },
   settings: {
     apiToken: '',
     parentPageId: '',
+    targetType: 'page',
+    parentTitle: '',
     includeImages: true,
+    uploadImages: false,
+    rollbackOnFailure: false,
     addSourceLink: true,
+    includeToc: true,
+    deepHeadingStyle: 'heading',
+    colorPalette: {},
   },
 };
 
@@ -100,6 +217,192 @@ function updateProgress(percent, status) {
   elements.progressPercentage.textContent = `${Math.round(clampedPercent)}%`;
 }
 
+/**
+ * Show the error view with a message
+ * Offers to resume when an interrupted import is waiting in the background
+ * @param {string} message - Error message
+ * @param {Object} [options] - Options
+ * @param {Object} [options.rollback] - Rollback of the partially created page, if any
+ * @param {Object} [options.notionError] - Details of the Notion API error, if any
+ */
+async function showError(message, { rollback, notionError } = {}) {
+  elements.errorMessage.textContent = message;
+  showErrorRemediation(notionError);
+  showRollbackNotice(rollback);
+  elements.resumeImport.classList.add('hidden');
+  showView('error');
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_IMPORT_JOB' });
+    const job = response?.job;
+    // A job still uploading in the background must not be started twice
+    if (job && !job.isRunning) {
+      elements.resumeImport.textContent = `⏯ Resume "${job.title}" (${job.nextChunk}/${job.totalChunks} chunks uploaded)`;
+      elements.resumeImport.classList.remove('hidden');
+    }
+  } catch (error) {
+    console.log('Could not check for resumable import:', error.message);
+  }
+}
+
+/**
+ * Show what the user can do about a Notion API error, and where it happened
+ * @param {Object|null|undefined} notionError - Error { code, status, method, endpoint, blockPath, remediation }
+ */
+function showErrorRemediation(notionError) {
+  elements.errorRemediation.classList.toggle('hidden', !notionError?.remediation);
+  if (!notionError?.remediation) return;
+  
+  elements.errorRemediationText.textContent = `💡 ${notionError.remediation}`;
+  
+  const details = [notionError.code];
+  if (notionError.endpoint) {
+    details.push(`${notionError.method} ${notionError.endpoint}`);
+  }
+  if (notionError.blockPath) {
+    details.push(`at ${notionError.blockPath}`);
+  }
+  elements.errorDetails.textContent = details.join(' · ');
+}
+
+/**
+ * Tell the user what happened to the page created by a failed import
+ * @param {Object|undefined} rollback - Rollback { pageUrl, title, archived, error }
+ */
+function showRollbackNotice(rollback) {
+  elements.rollbackNotice.classList.toggle('hidden', !rollback);
+  if (!rollback) return;
+  
+  elements.rollbackNotice.textContent = rollback.archived
+    ? `The partially imported page "${rollback.title}" was moved to the Notion trash. Restore it from the trash if you still need it.`
+    : `The partially imported page "${rollback.title}" could not be moved to the trash (${rollback.error}). Delete it in Notion: ${rollback.pageUrl}`;
+}
+
+/**
+ * Show a progress event from the background worker on the processing view
+ * @param {Object} event - Event { type, percent, status, message }
+ */
+function applyProgressEvent(event) {
+  if (event.type === 'stage' || event.type === 'chunk') {
+    updateProgress(event.percent, event.status);
+  } else if (event.type === 'warning') {
+    const item = document.createElement('li');
+    item.textContent = `⚠️ ${event.message}`;
+    elements.processingWarnings.appendChild(item);
+  }
+}
+
+/**
+ * Follow import events from the background worker over a port
+ * @param {Object} options - Options
+ * @param {boolean} options.cancellable - Show the cancel button while tracking
+ * @param {Function} [options.onSnapshot] - Called with the current job's event log once attached,
+ *   and a function that acknowledges a finished job
+ * @param {Function} [options.onEvent] - Called with every new event
+ * @param {Function} [options.onDisconnect] - Called if the worker closes the port
+ * @returns {Function} Function that stops listening
+ */
+function startProgressTracking({ cancellable = true, onSnapshot = null, onEvent = null, onDisconnect = null } = {}) {
+  elements.cancelImport.disabled = false;
+  elements.cancelImport.textContent = 'Cancel Import';
+  elements.cancelImport.classList.toggle('hidden', !cancellable);
+  elements.processingWarnings.innerHTML = '';
+  
+  const port = chrome.runtime.connect({ name: PROGRESS_PORT_NAME });
+  let connected = true;
+  
+  port.onMessage.addListener((message) => {
+    if (message.type === 'snapshot') {
+      onSnapshot?.(message.log, (jobId) => port.postMessage({ type: 'ACKNOWLEDGE', jobId }));
+      return;
+    }
+    
+    if (message.type === 'event') {
+      const { event } = message;
+      applyProgressEvent(event);
+      
+      // This popup is showing the outcome, so it needs no replay on reopen
+      if (event.type === 'done' || event.type === 'error') {
+        port.postMessage({ type: 'ACKNOWLEDGE', jobId: event.jobId });
+      }
+      onEvent?.(event);
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    onDisconnect?.();
+  });
+  port.postMessage({ type: 'ATTACH' });
+  
+  return () => {
+    elements.cancelImport.classList.add('hidden');
+    if (connected) {
+      port.disconnect();
+    }
+  };
+}
+
+/**
+ * Re-attach to an import that is running (or finished unseen) in the background
+ * @returns {Promise<boolean>} True if the popup now shows that import
+ */
+async function reattachToImport() {
+  return new Promise((resolve) => {
+    let attachedJobId = null;
+    let stopProgressTracking = null;
+    
+    const timeout = setTimeout(() => {
+      stopProgressTracking();
+      resolve(false);
+    }, ATTACH_TIMEOUT_MS);
+    
+    stopProgressTracking = startProgressTracking({
+      cancellable: true,
+      onSnapshot: (log, acknowledge) => {
+        clearTimeout(timeout);
+        const finalEvent = log?.events.find(event => event.type === 'done' || event.type === 'error');
+        
+        if (log?.state === 'running') {
+          attachedJobId = log.jobId;
+          showView('processing');
+          log.events.forEach(applyProgressEvent);
+          resolve(true);
+        } else if (log && !log.acknowledged && log.kind !== 'dry-run' && finalEvent) {
+          acknowledge(log.jobId);
+          stopProgressTracking();
+          showImportOutcome(finalEvent, log.kind === 'resume');
+          resolve(true);
+        } else {
+          stopProgressTracking();
+          resolve(false);
+        }
+      },
+      onEvent: (event) => {
+        if (event.jobId === attachedJobId && (event.type === 'done' || event.type === 'error')) {
+          stopProgressTracking();
+          showImportOutcome(event, false);
+        }
+      },
+    });
+  });
+}
+
+/**
+ * Show the outcome of an import from its final event
+ * @param {Object} event - done or error event
+ * @param {boolean} resumed - Whether the job resumed an earlier import
+ */
+function showImportOutcome(event, resumed) {
+  if (event.type === 'done') {
+    showImportResult(event.result, { resumed });
+  } else {
+    showError(event.cancelled ? getCancelledMessage(event.result) : event.error, {
+      rollback: event.result?.rollback,
+      notionError: event.result?.notionError,
+    });
+  }
+}
+
 // ============================================================================
 // Storage Operations
 // ============================================================================
@@ -114,7 +417,14 @@ async function loadSettings() {
         apiToken: result[STORAGE_KEYS.API_TOKEN] || '',
         parentPageId: result[STORAGE_KEYS.PARENT_PAGE_ID] || '',
         includeImages: result[STORAGE_KEYS.INCLUDE_IMAGES] !== false,
+        uploadImages: result[STORAGE_KEYS.UPLOAD_IMAGES] === true,
+        rollbackOnFailure: result[STORAGE_KEYS.ROLLBACK_ON_FAILURE] === true,
         addSourceLink: result[STORAGE_KEYS.ADD_SOURCE_LINK] !== false,
+        includeToc: result[STORAGE_KEYS.INCLUDE_TOC] !== false,
+        deepHeadingStyle: result[STORAGE_KEYS.DEEP_HEADING_STYLE] || 'heading',
+        colorPalette: result[STORAGE_KEYS.COLOR_PALETTE] || {},
+        targetType: result[STORAGE_KEYS.TARGET_TYPE] || 'page',
+        parentTitle: result[STORAGE_KEYS.TARGET_TITLE] || '',
       });
     });
   });
@@ -131,11 +441,74 @@ async function saveSettings(settings) {
       [STORAGE_KEYS.API_TOKEN]: settings.apiToken,
       [STORAGE_KEYS.PARENT_PAGE_ID]: settings.parentPageId,
       [STORAGE_KEYS.INCLUDE_IMAGES]: settings.includeImages,
+      [STORAGE_KEYS.UPLOAD_IMAGES]: settings.uploadImages,
+      [STORAGE_KEYS.ROLLBACK_ON_FAILURE]: settings.rollbackOnFailure,
       [STORAGE_KEYS.ADD_SOURCE_LINK]: settings.addSourceLink,
+      [STORAGE_KEYS.INCLUDE_TOC]: settings.includeToc,
+      [STORAGE_KEYS.DEEP_HEADING_STYLE]: settings.deepHeadingStyle,
+      [STORAGE_KEYS.COLOR_PALETTE]: settings.colorPalette,
+      [STORAGE_KEYS.TARGET_TYPE]: settings.targetType,
+      [STORAGE_KEYS.TARGET_TITLE]: settings.parentTitle || '',
     }, resolve);
   });
 }
 
+/**
+ * Load the recently chosen destinations
+ * @returns {Promise<Array<Object>>} Destinations, newest first
+ */
+async function loadRecentDestinations() {
+  const result = await chrome.storage.local.get(RECENT_DESTINATIONS_KEY);
+  return result[RECENT_DESTINATIONS_KEY] || [];
+}
+
+/**
+ * Remember a chosen destination, keeping the list short and free of duplicates
+ * @param {Object} destination - Destination { id, type, title, icon, breadcrumb }
+ * @returns {Promise<void>}
+ */
+async function addRecentDestination(destination) {
+  const recent = await loadRecentDestinations();
+  const { id, type, title, icon, breadcrumb } = destination;
+  const updated = [
+    // Expiring icon URLs would show as broken images later
+    { id, type, title, icon: icon?.expires ? null : icon, breadcrumb },
+    ...recent.filter(entry => entry.id !== id),
+  ].slice(0, MAX_RECENT_DESTINATIONS);
+  
+  await chrome.storage.local.set({ [RECENT_DESTINATIONS_KEY]: updated });
+}
+
+/**
+ * Load the saved property mapping for a database
+ * @param {string} databaseId - Notion database ID
+ * @returns {Promise<Object>} Map of Confluence field to property name
+ */
+async function loadPropertyMapping(databaseId) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(PROPERTY_MAPPINGS_KEY, (result) => {
+      const mappings = result[PROPERTY_MAPPINGS_KEY] || {};
+      resolve(mappings[databaseId] || {});
+    });
+  });
+}
+
+/**
+ * Save the property mapping for a database
+ * @param {string} databaseId - Notion database ID
+ * @param {Object} mapping - Map of Confluence field to property name
+ * @returns {Promise<void>}
+ */
+async function savePropertyMapping(databaseId, mapping) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(PROPERTY_MAPPINGS_KEY, (result) => {
+      const mappings = result[PROPERTY_MAPPINGS_KEY] || {};
+      mappings[databaseId] = mapping;
+      chrome.storage.sync.set({ [PROPERTY_MAPPINGS_KEY]: mappings }, resolve);
+    });
+  });
+}
+
 // ============================================================================
 // Tab Communication
 // ============================================================================
@@ -552,8 +925,15 @@ async function init() {
   // Update UI with saved settings
   elements.apiToken.value = currentState.settings.apiToken;
   elements.parentPageId.value = currentState.settings.parentPageId;
+  elements.targetType.value = currentState.settings.targetType;
   elements.includeImages.checked = currentState.settings.includeImages;
+  elements.uploadImages.checked = currentState.settings.uploadImages;
+  elements.uploadImages.disabled = !currentState.settings.includeImages;
+  elements.rollbackOnFailure.checked = currentState.settings.rollbackOnFailure;
   elements.addSourceLink.checked = currentState.settings.addSourceLink;
+  elements.includeToc.checked = currentState.settings.includeToc;
+  elements.deepHeadingStyle.value = currentState.settings.deepHeadingStyle;
+  elements.colorPalette.value = formatColorPalette(currentState.settings.colorPalette);
   
   // Check if we have required settings
   if (!currentState.settings.apiToken || !currentState.settings.parentPageId) {
@@ -561,6 +941,11 @@ async function init() {
     return;
   }
   
+  // An import started before the popup was closed keeps running in the background
+  if (await reattachToImport()) {
+    return;
+  }
+  
   // Check if current page is Confluence
   const pageInfo = await checkConfluencePage();
   
@@ -573,45 +958,107 @@ async function init() {
   currentState.isConfluencePage = true;
   currentState.pageTitle = pageInfo.title;
   currentState.pageUrl = pageInfo.url;
+  currentState.pageMetadata = pageInfo.metadata || null;
   
   elements.confluenceTitle.textContent = pageInfo.title || 'Untitled';
-  elements.targetPage.textContent = shortenPageId(currentState.settings.parentPageId);
+  updateTargetDisplay();
+  
+  await refreshExistingImport();
   
   showView('main');
 }
 
+/**
+ * Show the import target and whether it is a page or a database
+ */
+function updateTargetDisplay() {
+  const isDatabase = currentState.settings.targetType === 'database';
+  const name = currentState.settings.parentTitle || shortenPageId(currentState.settings.parentPageId);
+  
+  elements.targetPage.textContent = isDatabase ? `🗂️ ${name}` : name;
+  elements.mapProperties.classList.toggle('hidden', !isDatabase);
+}
+
+/**
+ * Look up whether the current Confluence page was imported before and
+ * offer to update that Notion page
+ */
+async function refreshExistingImport() {
+  currentState.existingMapping = null;
+  elements.existingImport.classList.add('hidden');
+  
+  const confluencePageKey = getConfluencePageKey(currentState.pageUrl, currentState.pageMetadata);
+  if (!confluencePageKey) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_PAGE_MAPPING',
+      confluencePageKey,
+    });
+    
+    const mapping = response?.mapping;
+    if (mapping) {
+      currentState.existingMapping = mapping;
+      elements.existingPageLink.href = mapping.notionPageUrl;
+      elements.existingPageLink.textContent = mapping.title || mapping.notionPageUrl;
+      elements.existingImport.classList.remove('hidden');
+    }
+  } catch (error) {
+    console.log('Could not look up previous import:', error.message);
+  }
+}
+
 /**
  * Handle the send to Notion action
  */
 async function handleSendToNotion() {
+  await sendToNotion({ dryRun: false });
+}
+
+/**
+ * Handle the dry run action: build the Notion requests without sending them
+ */
+async function handleDryRun() {
+  await sendToNotion({ dryRun: true });
+}
+
+/**
+ * Convert the page and send it to Notion, or only plan the requests
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Return the request bodies instead of calling the API
+ */
+async function sendToNotion({ dryRun }) {
+  currentState.lastRunWasDryRun = dryRun;
   showView('processing');
   updateProgress(0, 'Preparing...');
   
-  // Set up progress listener for messages from background worker
-  const progressListener = (message, sender, sendResponse) => {
-    if (message.type === 'PROGRESS_UPDATE') {
-      updateProgress(message.percent, message.status);
-    }
-    return false; // Don't send response
-  };
-  
-  chrome.runtime.onMessage.addListener(progressListener);
-  
-  // Also poll chrome.storage for progress updates (fallback)
-  const progressPollInterval = setInterval(async () => {
-    try {
-      const result = await chrome.storage.local.get('progressUpdate');
-      if (result.progressUpdate) {
-        const { percent, status, timestamp } = result.progressUpdate;
-        // Only use if recent (within last 5 seconds)
-        if (Date.now() - timestamp < 5000) {
-          updateProgress(percent, status);
-        }
+  // The job's final event decides the outcome; large imports can take far
+  // longer than any fixed timeout while the worker is still making progress
+  const jobId = `${dryRun ? 'dry-run' : 'import'}-${Date.now()}`;
+  let jobStarted = false;
+  let resolveJobOutcome;
+  let rejectJobOutcome;
+  const jobOutcome = new Promise((resolve, reject) => {
+    resolveJobOutcome = resolve;
+    rejectJobOutcome = reject;
+  });
+  // Only awaited while the job runs; a later disconnect is not an error
+  jobOutcome.catch(() => {});
+  const stopProgressTracking = startProgressTracking({
+    cancellable: !dryRun,
+    onEvent: (event) => {
+      if (event.jobId !== jobId) return;
+      jobStarted = true;
+      if (event.type === 'done' || event.type === 'error') {
+        resolveJobOutcome(event.result);
       }
-    } catch (error) {
-      // Ignore errors
-    }
-  }, 300); // Poll every 300ms
+    },
+    onDisconnect: () => {
+      rejectJobOutcome(new Error('Lost connection to the background worker. Reopen the popup to see how the import ended.'));
+    },
+  });
   
   try {
     // Step 1: Parse Confluence page
@@ -628,6 +1075,7 @@ async function handleSendToNotion() {
       type: 'GET_MARKDOWN',
       options: {
         includeImages: elements.includeImages.checked,
+        includeTableOfContents: elements.includeToc.checked,
       },
     });
     
@@ -663,6 +1111,19 @@ async function handleSendToNotion() {
       hasApiToken: !!currentState.settings.apiToken,
     });
     
+    const confluencePageKey = getConfluencePageKey(
+      currentState.pageUrl,
+      contentResponse.metadata || currentState.pageMetadata
+    );
+    const updatePageId = currentState.existingMapping && elements.updateExisting.checked
+      ? currentState.existingMapping.notionPageId
+      : null;
+    
+    const targetType = currentState.settings.targetType;
+    const propertyMapping = targetType === 'database'
+      ? await loadPropertyMapping(parentPageId)
+      : null;
+    
     const createPagePromise = chrome.runtime.sendMessage({
       type: 'CREATE_NOTION_PAGE',
       data: {
@@ -671,58 +1132,677 @@ async function handleSendToNotion() {
         parentPageId: parentPageId,
         apiToken: currentState.settings.apiToken,
         sourceUrl: elements.addSourceLink.checked ? currentState.pageUrl : null,
+        confluencePageKey,
+        updatePageId,
+        targetType,
+        propertyMapping,
+        metadata: contentResponse.metadata || currentState.pageMetadata,
+        uploadImages: elements.includeImages.checked && elements.uploadImages.checked,
+        rollbackOnFailure: elements.rollbackOnFailure.checked,
+        deepHeadingStyle: currentState.settings.deepHeadingStyle,
+        colorPalette: currentState.settings.colorPalette,
+        dryRun,
+        jobId,
       },
     }).catch(error => {
       console.error('Confluence2Notion Popup: Error sending message', error);
+      // A job that is already running keeps reporting (and can be cancelled) over the port
+      if (jobStarted) {
+        return jobOutcome;
+      }
       throw new Error(`Failed to send message to background worker: ${error.message}`);
     });
     
-    // Add timeout to prevent hanging (5 minutes for large pages)
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
-        console.error('Confluence2Notion Popup: Request timed out after 5 minutes');
-        reject(new Error('Request timed out after 5 minutes. Please check the background worker console for errors.'));
-      }, 300000); // 5 minutes
-    });
-    
+    // A job refused before it started (another import is running) only answers the message
     console.log('Confluence2Notion Popup: Waiting for response...');
-    const result = await Promise.race([createPagePromise, timeoutPromise]);
+    const result = await Promise.race([createPagePromise, jobOutcome]);
     console.log('Confluence2Notion Popup: Received response', result);
     
     // Final progress update
     updateProgress(100, 'Done!');
     
     if (!result.success) {
-      throw new Error(result.error || 'Failed to create Notion page');
+      const error = new Error(result.cancelled
+        ? getCancelledMessage(result)
+        : result.error || 'Failed to create Notion page');
+      error.rollback = result.rollback;
+      error.notionError = result.notionError;
+      throw error;
     }
     
     // Remove progress listener and polling
-    chrome.runtime.onMessage.removeListener(progressListener);
-    clearInterval(progressPollInterval);
+    stopProgressTracking();
     
-    // Clear progress storage
-    chrome.storage.local.remove('progressUpdate').catch(() => {});
+    if (result.dryRun) {
+      showDryRun(result.dryRun);
+      return;
+    }
     
     // Show success after a brief delay
     await new Promise(resolve => setTimeout(resolve, 500));
-    
-    // Show success
-    elements.notionLink.href = result.pageUrl;
-    showView('success');
+    showImportResult(result, { resumed: false });
     
   } catch (error) {
     // Remove progress listener and polling on error
-    chrome.runtime.onMessage.removeListener(progressListener);
-    if (typeof progressPollInterval !== 'undefined') {
-      clearInterval(progressPollInterval);
+    stopProgressTracking();
+    
+    console.error('Error:', error);
+    showError(error.message, { rollback: error.rollback, notionError: error.notionError });
+  }
+}
+
+/**
+ * Open the destination picker
+ * @param {string} returnView - View to go back to once a destination is chosen
+ */
+async function openDestinationPicker(returnView) {
+  currentState.picker.returnView = returnView;
+  elements.pickerSearch.value = '';
+  showView('picker');
+  elements.pickerSearch.focus();
+  
+  const recent = await loadRecentDestinations();
+  renderDestinationList(elements.pickerRecentList, recent);
+  elements.pickerRecent.classList.toggle('hidden', recent.length === 0);
+  
+  searchDestinations('');
+}
+
+/**
+ * Search Notion for destinations matching the query
+ * Responses to superseded queries are dropped
+ * @param {string} query - Search text
+ */
+async function searchDestinations(query) {
+  const sequence = ++currentState.picker.searchSequence;
+  elements.pickerStatus.textContent = 'Searching...';
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SEARCH_NOTION',
+      query,
+      apiToken: elements.apiToken.value.trim() || currentState.settings.apiToken,
+    });
+    
+    if (sequence !== currentState.picker.searchSequence) {
+      return;
+    }
+    
+    if (!response?.success) {
+      throw new Error(response?.error || 'Search failed');
     }
     
-    // Clear progress storage
-    chrome.storage.local.remove('progressUpdate').catch(() => {});
+    const results = response.results;
     
-    console.error('Error:', error);
-    elements.errorMessage.textContent = error.message;
-    showView('error');
+    // A pasted ID or URL can still be used directly
+    const pastedId = extractNotionPageId(query);
+    if (pastedId && !results.some(result => result.id === pastedId)) {
+      results.unshift({
+        id: pastedId,
+        type: currentState.settings.targetType,
+        title: `Use ${shortenPageId(pastedId)}`,
+        icon: null,
+        breadcrumb: ['Pasted ID'],
+        pasted: true,
+      });
+    }
+    
+    renderDestinationList(elements.pickerResults, results);
+    elements.pickerStatus.textContent = results.length === 0
+      ? 'Nothing found. Make sure the page is shared with your integration.'
+      : '';
+    
+  } catch (error) {
+    if (sequence === currentState.picker.searchSequence) {
+      elements.pickerResults.innerHTML = '';
+      elements.pickerStatus.textContent = error.message;
+    }
+  }
+}
+
+/**
+ * Render destinations as a clickable list
+ * @param {HTMLElement} list - List element to fill
+ * @param {Array<Object>} destinations - Destinations { id, type, title, icon, breadcrumb }
+ */
+function renderDestinationList(list, destinations) {
+  list.innerHTML = '';
+  
+  destinations.forEach(destination => {
+    const item = document.createElement('li');
+    item.className = 'picker-item';
+    item.title = destination.type === 'database' ? 'Database' : 'Page';
+    
+    const icon = document.createElement('span');
+    icon.className = 'picker-icon';
+    const fallbackIcon = destination.type === 'database' ? '🗂️' : '📄';
+    if (destination.icon?.type === 'image') {
+      const image = document.createElement('img');
+      image.src = destination.icon.url;
+      image.alt = '';
+      image.addEventListener('error', () => {
+        icon.textContent = fallbackIcon;
+      });
+      icon.appendChild(image);
+    } else {
+      icon.textContent = destination.icon?.emoji || fallbackIcon;
+    }
+    
+    const text = document.createElement('div');
+    text.className = 'picker-text';
+    
+    const title = document.createElement('div');
+    title.className = 'picker-title';
+    title.textContent = destination.title;
+    text.appendChild(title);
+    
+    if (destination.breadcrumb?.length) {
+      const breadcrumb = document.createElement('div');
+      breadcrumb.className = 'picker-breadcrumb';
+      breadcrumb.textContent = destination.breadcrumb.join(' / ');
+      text.appendChild(breadcrumb);
+    }
+    
+    item.appendChild(icon);
+    item.appendChild(text);
+    item.addEventListener('click', () => selectDestination(destination));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Use a destination from the picker as the import target
+ * @param {Object} destination - Chosen destination
+ */
+async function selectDestination(destination) {
+  const parentTitle = destination.pasted ? '' : destination.title;
+  
+  if (!destination.pasted) {
+    await addRecentDestination(destination);
+  }
+  
+  if (currentState.picker.returnView === 'settings') {
+    // Settings are only stored once the user saves them
+    currentState.picker.picked = { ...destination, title: parentTitle };
+    elements.parentPageId.value = destination.id;
+    elements.targetType.value = destination.type;
+    showView('settings');
+    return;
+  }
+  
+  currentState.settings.parentPageId = destination.id;
+  currentState.settings.targetType = destination.type;
+  currentState.settings.parentTitle = parentTitle;
+  await saveSettings(currentState.settings);
+  
+  elements.parentPageId.value = destination.id;
+  elements.targetType.value = destination.type;
+  updateTargetDisplay();
+  showView('main');
+}
+
+/**
+ * Open the property mapping view for the target database
+ */
+async function handleOpenMapping() {
+  showView('processing');
+  updateProgress(30, 'Loading database properties...');
+  
+  try {
+    const databaseId = currentState.settings.parentPageId;
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_DATABASE_SCHEMA',
+      databaseId,
+      apiToken: currentState.settings.apiToken,
+    });
+    
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to load database properties');
+    }
+    
+    currentState.databaseSchema = response.schema;
+    const savedMapping = await loadPropertyMapping(databaseId);
+    renderMappingFields(response.schema, savedMapping);
+    
+    elements.mappingDatabaseTitle.textContent = response.schema.title || 'Untitled database';
+    showView('mapping');
+    
+  } catch (error) {
+    console.error('Error loading database schema:', error);
+    showError(error.message);
+  }
+}
+
+/**
+ * Render one property select per Confluence field
+ * Only properties whose type can hold the field are offered
+ * @param {Object} schema - Database schema from the background worker
+ * @param {Object} savedMapping - Previously saved mapping
+ */
+function renderMappingFields(schema, savedMapping) {
+  elements.mappingFields.innerHTML = '';
+  
+  DATABASE_FIELDS.forEach(field => {
+    const row = document.createElement('div');
+    row.className = 'mapping-row';
+    
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    label.htmlFor = `mapping-${field.key}`;
+    
+    const select = document.createElement('select');
+    select.id = `mapping-${field.key}`;
+    select.dataset.field = field.key;
+    select.add(new Option('— Don\'t import —', ''));
+    
+    const candidates = schema.properties.filter(property => field.types.includes(property.type));
+    candidates.forEach(property => {
+      select.add(new Option(`${property.name} (${property.type.replace('_', ' ')})`, property.name));
+    });
+    
+    // Prefer the saved choice, otherwise guess a property with a matching name
+    const saved = savedMapping[field.key];
+    const guess = candidates.find(property => property.name.toLowerCase() === field.label.toLowerCase());
+    if (saved && candidates.some(property => property.name === saved)) {
+      select.value = saved;
+    } else if (!(field.key in savedMapping) && guess) {
+      select.value = guess.name;
+    }
+    
+    row.appendChild(label);
+    row.appendChild(select);
+    elements.mappingFields.appendChild(row);
+  });
+}
+
+/**
+ * Save the property mapping shown in the mapping view
+ */
+async function handleSaveMapping() {
+  const mapping = {};
+  elements.mappingFields.querySelectorAll('select').forEach(select => {
+    mapping[select.dataset.field] = select.value || null;
+  });
+  
+  await savePropertyMapping(currentState.settings.parentPageId, mapping);
+  showView('main');
+}
+
+/**
+ * Open the people mapping view with the workspace users and saved mappings
+ */
+async function handleOpenPeople() {
+  showView('processing');
+  updateProgress(30, 'Loading Notion people...');
+  
+  try {
+    const [usersResponse, mappingsResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'LIST_NOTION_USERS', apiToken: currentState.settings.apiToken }),
+      chrome.runtime.sendMessage({ type: 'GET_USER_MAPPINGS' }),
+    ]);
+    
+    if (!mappingsResponse?.success) {
+      throw new Error(mappingsResponse?.error || 'Failed to load saved people');
+    }
+    
+    // Saved people stay editable when Notion cannot be reached
+    currentState.notionUsers = usersResponse?.success ? usersResponse.users : [];
+    elements.peopleRows.innerHTML = '';
+    mappingsResponse.mappings.forEach(entry => addPersonRow(entry));
+    if (!usersResponse?.success) {
+      elements.peopleStatus.textContent = `Could not load Notion people (${usersResponse?.error || 'unknown error'}). Saved people are kept; new ones cannot be matched until Notion can be reached.`;
+    } else if (usersResponse.users.length === 0) {
+      elements.peopleStatus.textContent = 'No Notion people found. Give the integration access to user information to map mentions.';
+    } else {
+      elements.peopleStatus.textContent = '';
+    }
+    showView('people');
+    
+  } catch (error) {
+    console.error('Error loading Notion people:', error);
+    showError(error.message);
+  }
+}
+
+/**
+ * Add a row to the people mapping view
+ * @param {Object} [entry] - Mapping entry { confluence, notionUserId }
+ */
+function addPersonRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'mapping-row people-row';
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Confluence username or email';
+  input.value = entry.confluence || '';
+  
+  const select = document.createElement('select');
+  select.add(new Option('— Notion person —', ''));
+  currentState.notionUsers.forEach(user => {
+    select.add(new Option(user.email ? `${user.name} (${user.email})` : user.name, user.id));
+  });
+  // Keep a saved person selectable even if they are not in the loaded list
+  if (entry.notionUserId && !currentState.notionUsers.some(user => user.id === entry.notionUserId)) {
+    select.add(new Option(entry.notionUserName || entry.notionUserId, entry.notionUserId));
+  }
+  select.value = entry.notionUserId || '';
+  
+  const remove = document.createElement('button');
+  remove.className = 'btn-link';
+  remove.textContent = '✕';
+  remove.title = 'Remove';
+  remove.addEventListener('click', () => row.remove());
+  
+  row.appendChild(input);
+  row.appendChild(select);
+  row.appendChild(remove);
+  elements.peopleRows.appendChild(row);
+}
+
+/**
+ * Find the Notion user for a Confluence identifier by id, email, name or
+ * the part of the email before the @
+ * @param {string} identifier - Confluence username, email or name, or a Notion user id
+ * @returns {Object|null} User { id, name, email } or null
+ */
+function findNotionPerson(identifier) {
+  const key = identifier.trim().toLowerCase();
+  if (!key) {
+    return null;
+  }
+  
+  const users = currentState.notionUsers;
+  return users.find(user => user.id.replace(/-/g, '') === key.replace(/-/g, '')) ||
+         users.find(user => user.email?.toLowerCase() === key) ||
+         users.find(user => user.name.toLowerCase() === key) ||
+         users.find(user => user.email?.toLowerCase().split('@')[0] === key) ||
+         null;
+}
+
+/**
+ * Choose a Notion person for every row that has none yet
+ */
+function handleAutoMatchPeople() {
+  const rows = Array.from(elements.peopleRows.querySelectorAll('.people-row'))
+    .filter(row => row.querySelector('input').value.trim() && !row.querySelector('select').value);
+  
+  let matched = 0;
+  rows.forEach(row => {
+    const user = findNotionPerson(row.querySelector('input').value);
+    if (user) {
+      row.querySelector('select').value = user.id;
+      matched++;
+    }
+  });
+  
+  elements.peopleStatus.textContent = rows.length === 0
+    ? 'Every row already has a Notion person.'
+    : `Matched ${matched} of ${rows.length} people.`;
+}
+
+/**
+ * Add the CSV pasted into the people mapping view as rows
+ * Each line holds a Confluence username, user key, email or name and the
+ * Notion person's email, name or user id; a header line is skipped.
+ * The CSV is pasted rather than picked as a file because a file dialog
+ * closes the popup.
+ */
+function handleImportPeopleCsv() {
+  const text = elements.peopleCsv.value;
+  if (!text.trim()) {
+    elements.peopleStatus.textContent = 'Paste CSV lines to import first.';
+    return;
+  }
+  
+  const records = parseCsv(text).filter(record => record.length >= 2 && record[0].trim());
+  if (records.length > 0 && /notion/i.test(records[0][1]) && !findNotionPerson(records[0][1])) {
+    records.shift();
+  }
+  
+  const rows = Array.from(elements.peopleRows.querySelectorAll('.people-row'));
+  let imported = 0;
+  const unmatched = [];
+  
+  records.forEach(([confluence, notion]) => {
+    const user = findNotionPerson(notion);
+    if (!user) {
+      unmatched.push(confluence.trim());
+      return;
+    }
+    
+    // A CSV entry replaces the row for the same Confluence identifier
+    const existing = rows.find(row => row.querySelector('input').value.trim().toLowerCase() === confluence.trim().toLowerCase());
+    if (existing) {
+      existing.querySelector('select').value = user.id;
+    } else {
+      addPersonRow({ confluence: confluence.trim(), notionUserId: user.id });
+    }
+    imported++;
+  });
+  
+  if (unmatched.length === 0) {
+    elements.peopleCsv.value = '';
+  }
+  elements.peopleStatus.textContent = `Imported ${imported} ${imported === 1 ? 'person' : 'people'}.` +
+    (unmatched.length > 0 ? ` No Notion person found for: ${unmatched.join(', ')}` : '');
+}
+
+/**
+ * Save the rows of the people mapping view
+ */
+async function handleSavePeople() {
+  const mappings = Array.from(elements.peopleRows.querySelectorAll('.people-row'))
+    .map(row => {
+      const select = row.querySelector('select');
+      return {
+        confluence: row.querySelector('input').value.trim(),
+        notionUserId: select.value,
+        notionUserName: select.value ? select.selectedOptions[0].textContent : '',
+      };
+    })
+    .filter(entry => entry.confluence && entry.notionUserId);
+  
+  const response = await chrome.runtime.sendMessage({ type: 'SAVE_USER_MAPPINGS', mappings });
+  if (!response?.success) {
+    showError(response?.error || 'Failed to save people');
+    return;
+  }
+  showView('main');
+}
+
+/**
+ * Show the success view for a finished import
+ * @param {Object} result - Result from the background worker
+ * @param {Object} options - Options
+ * @param {boolean} options.resumed - Whether an interrupted import was completed
+ */
+function showImportResult(result, { resumed }) {
+  let successMessage = result.updated ? 'Page updated in Notion' : 'Page created in Notion';
+  if (resumed) {
+    successMessage = 'Import completed in Notion';
+  }
+  if (result.imageUploads?.failed > 0) {
+    successMessage += ` (${result.imageUploads.failed} image(s) could not be uploaded and still link to Confluence)`;
+  }
+  if (result.repairs?.length > 0) {
+    successMessage += ` (${result.repairs.length} adjustment(s) made to fit Notion limits, see the background console for details)`;
+  }
+  
+  elements.successMessage.textContent = successMessage;
+  elements.notionLink.href = result.pageUrl;
+  showImportFailures(result.failures);
+  showView('success');
+  
+  // The page is now mapped, so the next import offers an update
+  if (currentState.isConfluencePage) {
+    refreshExistingImport();
+  }
+}
+
+/**
+ * List the blocks Notion rejected during an otherwise successful import
+ * @param {Array<Object>|undefined} failures - Failures { type, error, markdown }
+ */
+function showImportFailures(failures) {
+  elements.importFailuresList.innerHTML = '';
+  elements.importFailures.classList.toggle('hidden', !failures?.length);
+  if (!failures?.length) return;
+  
+  elements.importFailuresSummary.textContent =
+    `⚠️ ${failures.length} block(s) could not be imported and were replaced by a callout:`;
+  
+  failures.forEach(failure => {
+    const item = document.createElement('li');
+    item.textContent = `${failure.type.replace(/_/g, ' ')}: ${failure.error}`;
+    
+    const source = document.createElement('pre');
+    source.textContent = failure.markdown.length > 300
+      ? `${failure.markdown.substring(0, 300)}…`
+      : failure.markdown;
+    item.appendChild(source);
+    
+    elements.importFailuresList.appendChild(item);
+  });
+}
+
+/**
+ * Show the dry run report
+ * @param {Object} report - Dry run report from the background worker
+ */
+function showDryRun(report) {
+  currentState.dryRunResult = report;
+  
+  const typeSummary = Object.entries(report.blockCounts.byType)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, count]) => `${type.replace(/_/g, ' ')}: ${count}`)
+    .join(', ');
+  
+  elements.dryRunSummary.textContent =
+    `${report.mode === 'update' ? 'Update' : 'Create'} "${report.title}"\n` +
+    `${report.requestCount} request(s), ${report.blockCounts.total} block(s) ` +
+    `(${report.blockCounts.topLevel} top-level)\n${typeSummary}`;
+  
+  elements.dryRunWarnings.innerHTML = '';
+  report.warnings.forEach(warning => {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    elements.dryRunWarnings.appendChild(item);
+  });
+  
+  elements.dryRunJson.textContent = '';
+  elements.dryRunJson.classList.add('hidden');
+  elements.viewDryRunJson.textContent = 'View JSON';
+  
+  showView('dryRun');
+}
+
+/**
+ * Toggle the JSON of the dry run report
+ */
+function handleToggleDryRunJson() {
+  const isHidden = elements.dryRunJson.classList.toggle('hidden');
+  if (!isHidden && !elements.dryRunJson.textContent) {
+    elements.dryRunJson.textContent = JSON.stringify(currentState.dryRunResult, null, 2);
+  }
+  elements.viewDryRunJson.textContent = isHidden ? 'View JSON' : 'Hide JSON';
+}
+
+/**
+ * Download the dry run report as a JSON file
+ */
+function handleDownloadDryRun() {
+  const report = currentState.dryRunResult;
+  if (!report) return;
+  
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  const safeTitle = (report.title || 'confluence-page')
+    .replace(/[^a-zA-Z0-9._-]/g, '_')
+    .substring(0, 50);
+  
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${safeTitle}-notion-dry-run.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Handle the cancel button on the processing view
+ * The running request resolves with a cancelled result once the worker stops
+ */
+async function handleCancelImport() {
+  if (!confirm('Cancel this import?')) {
+    return;
+  }
+  
+  const archivePage = confirm(
+    'Also move the partially imported Notion page to the trash?\n\n' +
+    'Choose Cancel to keep what was uploaded so far. ' +
+    'Pages that were being updated are never moved to the trash.'
+  );
+  
+  elements.cancelImport.disabled = true;
+  elements.cancelImport.textContent = 'Cancelling...';
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CANCEL_IMPORT', archivePage });
+    if (!response?.success) {
+      elements.cancelImport.textContent = 'Nothing to cancel';
+    }
+  } catch (error) {
+    console.error('Error cancelling import:', error);
+    elements.cancelImport.disabled = false;
+    elements.cancelImport.textContent = 'Cancel Import';
+  }
+}
+
+/**
+ * Describe how a cancelled import left the Notion page
+ * @param {Object} result - Cancelled result from the background worker
+ * @returns {string} Message for the error view
+ */
+function getCancelledMessage(result) {
+  return result.archived
+    ? 'Import cancelled. The partially imported page was moved to the Notion trash.'
+    : 'Import cancelled. The content uploaded so far stays in Notion.';
+}
+
+/**
+ * Handle resuming an interrupted import
+ */
+async function handleResumeImport() {
+  showView('processing');
+  updateProgress(80, 'Resuming import...');
+  
+  const stopProgressTracking = startProgressTracking();
+  
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'RESUME_IMPORT' });
+    
+    if (!result?.success) {
+      const error = new Error(result?.cancelled
+        ? getCancelledMessage(result)
+        : result?.error || 'Failed to resume import');
+      error.notionError = result?.notionError;
+      throw error;
+    }
+    
+    updateProgress(100, 'Done!');
+    stopProgressTracking();
+    
+    // Show success after a brief delay
+    await new Promise(resolve => setTimeout(resolve, 500));
+    showImportResult(result, { resumed: true });
+    
+  } catch (error) {
+    stopProgressTracking();
+    
+    console.error('Error resuming import:', error);
+    showError(error.message, { notionError: error.notionError });
   }
 }
 
@@ -807,8 +1887,7 @@ async function handleDownloadInternalImages() {
     
   } catch (error) {
     console.error('Error downloading images:', error);
-    elements.errorMessage.textContent = error.message || 'Failed to download images';
-    showView('error');
+    showError(error.message || 'Failed to download images');
   }
 }
 
@@ -847,13 +1926,41 @@ async function handleSaveSettings() {
     return;
   }
   
+  const { palette: colorPalette, invalidLines } = parseColorPalette(elements.colorPalette.value);
+  if (invalidLines.length > 0) {
+    alert(
+      'Invalid color palette entries:\n' +
+      invalidLines.map(line => `• ${line}`).join('\n') + '\n\n' +
+      'Write one entry per line, e.g. "#de350b = red" or "#fff0b3 = yellow".\n' +
+      `Notion colors: ${NOTION_COLORS.join(', ')}.`
+    );
+    elements.colorPalette.focus();
+    return;
+  }
+  
   const settings = {
     apiToken: rawApiToken,
     parentPageId: extractedPageId, // Use extracted and formatted ID
     includeImages: elements.includeImages.checked,
+    uploadImages: elements.uploadImages.checked,
+    rollbackOnFailure: elements.rollbackOnFailure.checked,
     addSourceLink: elements.addSourceLink.checked,
+    includeToc: elements.includeToc.checked,
+    deepHeadingStyle: elements.deepHeadingStyle.value,
+    colorPalette,
+    targetType: elements.targetType.value,
+    parentTitle: '',
   };
   
+  // Keep the display name when the target was picked or is unchanged
+  const picked = currentState.picker.picked;
+  if (picked && picked.id === extractedPageId) {
+    settings.parentTitle = picked.title;
+  } else if (extractedPageId === currentState.settings.parentPageId) {
+    settings.parentTitle = currentState.settings.parentTitle;
+  }
+  currentState.picker.picked = null;
+  
   // Update the input field with the formatted ID
   elements.parentPageId.value = extractedPageId;
   
@@ -868,6 +1975,82 @@ async function handleSaveSettings() {
 // ============================================================================
 // Utility Functions
 // ============================================================================
+/**
+ * Parse the color palette setting: one "#hex = notion color" entry per line
+ * @param {string} text - Palette text from the settings
+ * @returns {{palette: Object, invalidLines: Array<string>}} Hex color to Notion color, and lines that could not be read
+ */
+function parseColorPalette(text) {
+  const palette = {};
+  const invalidLines = [];
+  
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const match = line.match(/^#([0-9a-f]{3}|[0-9a-f]{6})\s*[=:]\s*([a-z]+?)(_background)?$/i);
+    if (!match || !NOTION_COLORS.includes(match[2].toLowerCase())) {
+      invalidLines.push(line);
+      return;
+    }
+    const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    palette[`#${hex.toLowerCase()}`] = match[2].toLowerCase() + (match[3] && match[2].toLowerCase() !== 'default' ? '_background' : '');
+  });
+  
+  return { palette, invalidLines };
+}
+
+/**
+ * Parse CSV text into records (quoted fields may contain commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records of fields
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const character = text[i];
+    if (quoted) {
+      if (character === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === ',' || character === ';') {
+      record.push(field);
+      field = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+  
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Format a color palette for the settings textarea
+ * @param {Object} palette - Hex color to Notion color
+ * @returns {string} One "#hex = color" entry per line
+ */
+function formatColorPalette(palette) {
+  return Object.entries(palette || {}).map(([hex, color]) => `${hex} = ${color}`).join('\n');
+}
+
 /**
  * Extract page ID from Notion URL or return the ID if already extracted
  * @param {string} input - Notion URL or page ID
@@ -952,6 +2135,25 @@ function isValidNotionPageId(pageId) {
   return /^[a-f0-9]{32}$/i.test(cleanId);
 }
 
+/**
+ * Build the key that identifies a Confluence page across imports
+ * Uses the host plus the Confluence page ID, falling back to the page path
+ * @param {string} pageUrl - Confluence page URL
+ * @param {Object|null} metadata - Page metadata from the parser
+ * @returns {string|null} Page key or null if the URL is unusable
+ */
+function getConfluencePageKey(pageUrl, metadata) {
+  const url = metadata?.url || pageUrl;
+  if (!url) return null;
+  
+  try {
+    const { host, pathname } = new URL(url);
+    return metadata?.pageId ? `${host}:${metadata.pageId}` : `${host}${pathname}`;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Shorten a page ID for display
  * @param {string} pageId - Full page ID
@@ -969,40 +2171,60 @@ function shortenPageId(pageId) {
 // ============================================================================
 elements.saveSettings.addEventListener('click', handleSaveSettings);
 elements.sendToNotion.addEventListener('click', handleSendToNotion);
+elements.dryRun.addEventListener('click', handleDryRun);
+elements.viewDryRunJson.addEventListener('click', handleToggleDryRunJson);
+elements.downloadDryRun.addEventListener('click', handleDownloadDryRun);
+elements.dryRunBack.addEventListener('click', () => showView('main'));
 elements.downloadInternalImages.addEventListener('click', handleDownloadInternalImages);
 elements.openSettings.addEventListener('click', () => showView('settings'));
-elements.done.addEventListener('click', () => showView('main'));
-elements.retry.addEventListener('click', handleSendToNotion);
-elements.back.addEventListener('click', () => showView('main'));
-
-elements.changeTarget.addEventListener('click', () => {
-  const newInput = prompt(
-    'Enter new parent page ID or Notion page URL:',
-    currentState.settings.parentPageId
-  );
-  
-  if (newInput && newInput.trim()) {
-    const extractedId = extractNotionPageId(newInput.trim());
-    
-    if (!extractedId || !isValidNotionPageId(extractedId)) {
-      alert(
-        'Invalid Notion page ID or URL.\n\n' +
-        'You can enter either:\n' +
-        '• A Notion page URL (e.g., https://www.notion.so/PageName-2dadca9a3fff80278295e23720dd2a53)\n' +
-        '• A page ID (e.g., 2dadca9a3fff80278295e23720dd2a53)'
-      );
-      return;
-    }
-    
-    currentState.settings.parentPageId = extractedId;
-    saveSettings(currentState.settings);
-    elements.targetPage.textContent = shortenPageId(extractedId);
+// After re-attaching to a background import the main view is not set up yet
+const returnToMain = () => (currentState.isConfluencePage ? showView('main') : init());
+elements.done.addEventListener('click', returnToMain);
+elements.retry.addEventListener('click', () => sendToNotion({ dryRun: currentState.lastRunWasDryRun }));
+elements.resumeImport.addEventListener('click', handleResumeImport);
+elements.cancelImport.addEventListener('click', handleCancelImport);
+elements.mapProperties.addEventListener('click', handleOpenMapping);
+elements.saveMapping.addEventListener('click', handleSaveMapping);
+elements.mappingBack.addEventListener('click', () => showView('main'));
+elements.mapPeople.addEventListener('click', handleOpenPeople);
+elements.peopleAdd.addEventListener('click', () => addPersonRow());
+elements.peopleAutoMatch.addEventListener('click', handleAutoMatchPeople);
+elements.peopleImportCsv.addEventListener('click', handleImportPeopleCsv);
+elements.savePeople.addEventListener('click', handleSavePeople);
+elements.peopleBack.addEventListener('click', () => showView('main'));
+elements.back.addEventListener('click', returnToMain);
+
+elements.changeTarget.addEventListener('click', () => openDestinationPicker('main'));
+elements.browseDestinations.addEventListener('click', () => {
+  if (!elements.apiToken.value.trim()) {
+    alert('Please enter your Notion API token first');
+    elements.apiToken.focus();
+    return;
   }
+  openDestinationPicker('settings');
+});
+elements.pickerBack.addEventListener('click', () => showView(currentState.picker.returnView));
+
+elements.pickerSearch.addEventListener('input', () => {
+  clearTimeout(currentState.picker.searchTimer);
+  const query = elements.pickerSearch.value;
+  currentState.picker.searchTimer = setTimeout(() => searchDestinations(query), SEARCH_DEBOUNCE_MS);
 });
 
 // Sync checkbox changes to storage
 elements.includeImages.addEventListener('change', async () => {
   currentState.settings.includeImages = elements.includeImages.checked;
+  elements.uploadImages.disabled = !elements.includeImages.checked;
+  await saveSettings(currentState.settings);
+});
+
+elements.uploadImages.addEventListener('change', async () => {
+  currentState.settings.uploadImages = elements.uploadImages.checked;
+  await saveSettings(currentState.settings);
+});
+
+elements.rollbackOnFailure.addEventListener('change', async () => {
+  currentState.settings.rollbackOnFailure = elements.rollbackOnFailure.checked;
   await saveSettings(currentState.settings);
 });
 
@@ -1011,6 +2233,11 @@ elements.addSourceLink.addEventListener('change', async () => {
   await saveSettings(currentState.settings);
 });
 
+elements.includeToc.addEventListener('change', async () => {
+  currentState.settings.includeToc = elements.includeToc.checked;
+  await saveSettings(currentState.settings);
+});
+
 // ============================================================================
 // Initialize
 // ============================================================================
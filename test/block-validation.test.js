@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, toPlain } = require('./helpers');
+
+const worker = loadServiceWorker();
+
+/**
+ * Create a paragraph from text segments
+ * @param {Array<string>} contents - Segment contents
+ * @returns {Object} Paragraph block
+ */
+function paragraph(...contents) {
+  return {
+    type: 'paragraph',
+    paragraph: { rich_text: contents.map(content => ({ type: 'text', text: { content } })) },
+  };
+}
+
+/**
+ * Create a table row from cell texts
+ * @param {Array<string>} cells - Cell texts
+ * @returns {Object} Table row block
+ */
+function tableRow(...cells) {
+  return {
+    type: 'table_row',
+    table_row: { cells: cells.map(content => [{ type: 'text', text: { content } }]) },
+  };
+}
+
+test('text over 2000 characters is split into segments', () => {
+  const blocks = [paragraph('a'.repeat(4500))];
+  const repairs = toPlain(worker.validateAndRepairBlocks(blocks));
+  
+  assert.deepEqual(toPlain(blocks[0].paragraph.rich_text).map(segment => segment.text.content.length), [2000, 2000, 500]);
+  assert.deepEqual(repairs, [
+    { path: '0', type: 'paragraph', message: 'Text of 4500 characters was split into 3 segments' },
+  ]);
+});
+
+test('a paragraph with more than 100 segments becomes several paragraphs', () => {
+  const blocks = [paragraph('before'), paragraph(...Array.from({ length: 250 }, (_, i) => `s${i}`))];
+  const repairs = toPlain(worker.validateAndRepairBlocks(blocks));
+  
+  assert.deepEqual(blocks.map(block => block.paragraph.rich_text.length), [1, 100, 100, 50]);
+  assert.equal(blocks[3].paragraph.rich_text[49].text.content, 's249');
+  assert.deepEqual(repairs, [
+    { path: '1', type: 'paragraph', message: 'Paragraph with 250 text segments was split into 3 paragraphs' },
+  ]);
+});
+
+test('other blocks with more than 100 segments are truncated with a marker', () => {
+  const blocks = [{
+    type: 'heading_1',
+    heading_1: { rich_text: Array.from({ length: 120 }, (_, i) => ({ type: 'text', text: { content: `s${i}` } })) },
+  }];
+  const repairs = toPlain(worker.validateAndRepairBlocks(blocks));
+  const richText = toPlain(blocks[0].heading_1.rich_text);
+  
+  assert.equal(richText.length, 100);
+  assert.equal(richText[98].text.content, 's98');
+  assert.equal(richText[99].text.content, ' … [truncated]');
+  assert.deepEqual(repairs, [
+    { path: '0', type: 'heading_1', message: '21 of 120 text segments were cut (limit 100)' },
+  ]);
+});
+
+test('table rows are padded to the widest row and repairs name nested paths', () => {
+  const blocks = [paragraph('intro'), {
+    type: 'table',
+    table: {
+      table_width: 2,
+      has_column_header: true,
+      children: [tableRow('a', 'b'), tableRow('c', 'd', 'x'.repeat(2100)), tableRow('e')],
+    },
+  }];
+  const repairs = toPlain(worker.validateAndRepairBlocks(blocks));
+  const table = toPlain(blocks[1].table);
+  
+  assert.equal(table.table_width, 3);
+  assert.deepEqual(table.children.map(row => row.table_row.cells.length), [3, 3, 3]);
+  assert.deepEqual(table.children[1].table_row.cells[2].map(segment => segment.text.content.length), [2000, 100]);
+  assert.deepEqual(repairs, [
+    { path: '1', type: 'table', message: 'Table rows had 2/3/1 cells; padded every row to 3' },
+    { path: '1.1', type: 'table_row', message: 'Text of 2100 characters was split into 2 segments' },
+  ]);
+});
+
+test('blocks and links with URLs over 2000 characters are replaced or unlinked', () => {
+  const longUrl = `https://example.com/${'p'.repeat(2000)}`;
+  const blocks = [
+    { type: 'bookmark', bookmark: { url: longUrl, caption: [] } },
+    { type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: 'link', link: { url: longUrl } } }] } },
+  ];
+  const repairs = toPlain(worker.validateAndRepairBlocks(blocks));
+  const placeholder = toPlain(blocks[0]);
+  
+  assert.equal(placeholder.type, 'callout');
+  assert.match(placeholder.callout.rich_text[0].text.content, /^bookmark could not be imported/);
+  assert.equal(blocks[1].paragraph.rich_text[0].text.link, null);
+  assert.deepEqual(repairs, [
+    { path: '0', type: 'bookmark', message: 'URL longer than 2000 characters, replaced by a placeholder' },
+    { path: '1', type: 'paragraph', message: 'Link longer than 2000 characters was removed' },
+  ]);
+});
+
+test('blocks within the limits are left alone', () => {
+  const blocks = [paragraph('short'), { type: 'bookmark', bookmark: { url: 'https://example.com/', caption: [] } }];
+  const before = toPlain(blocks);
+  
+  assert.deepEqual(toPlain(worker.validateAndRepairBlocks(blocks)), []);
+  assert.deepEqual(toPlain(blocks), before);
+});
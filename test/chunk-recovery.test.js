@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, toPlain } = require('./helpers');
+
+/**
+ * Describe the blocks of an append request by their text
+ * @param {Object} body - Request body { children }
+ * @returns {Array<string>} Text of each block, "callout" for placeholders
+ */
+function describeChildren(body) {
+  return body.children.map(block => (block.type === 'callout'
+    ? 'callout'
+    : block.paragraph.rich_text.map(segment => segment.text.content).join('')));
+}
+
+test('a rejected chunk is bisected down to the block Notion rejects', async () => {
+  const requests = [];
+  const worker = loadServiceWorker({
+    fetch: async (url, options) => {
+      const body = JSON.parse(options.body);
+      const texts = describeChildren(body);
+      const rejected = texts.includes('bad');
+      requests.push({ method: options.method, url, texts, rejected });
+      
+      if (rejected) {
+        return new Response(JSON.stringify({
+          object: 'error',
+          status: 400,
+          code: 'validation_error',
+          message: 'body.children[0].paragraph.rich_text[0].text.content is invalid.',
+        }), { status: 400 });
+      }
+      return new Response(JSON.stringify({
+        results: body.children.map((block, index) => ({ id: `created-${requests.length}-${index}` })),
+      }), { status: 200 });
+    },
+  });
+  
+  const chunk = ['b0', 'b1', 'b2', 'b3', 'bad', 'b5'].map(text => ({
+    type: 'paragraph',
+    paragraph: { rich_text: [{ type: 'text', text: { content: text } }] },
+  }));
+  const failures = [];
+  await worker.appendChunkWithRecovery('page-1', chunk, 'token', failures);
+  
+  assert.ok(requests.every(request => request.method === 'PATCH' && request.url.endsWith('/blocks/page-1/children')));
+  assert.deepEqual(requests.map(({ texts, rejected }) => ({ texts, rejected })), [
+    { texts: ['b0', 'b1', 'b2', 'b3', 'bad', 'b5'], rejected: true },
+    { texts: ['b0', 'b1', 'b2'], rejected: false },
+    { texts: ['b3', 'bad', 'b5'], rejected: true },
+    { texts: ['b3', 'bad'], rejected: true },
+    { texts: ['b3'], rejected: false },
+    { texts: ['bad'], rejected: true },
+    { texts: ['callout'], rejected: false },
+    { texts: ['b5'], rejected: false },
+  ]);
+  
+  // Everything else lands once, in order, with the placeholder in place of the rejected block
+  const appended = requests.filter(request => !request.rejected).flatMap(request => request.texts);
+  assert.deepEqual(appended, ['b0', 'b1', 'b2', 'b3', 'callout', 'b5']);
+  
+  assert.deepEqual(toPlain(failures), [{
+    type: 'paragraph',
+    error: 'body.children[0].paragraph.rich_text[0].text.content is invalid.',
+    markdown: 'bad',
+  }]);
+});
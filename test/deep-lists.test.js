@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, toPlain } = require('./helpers');
+
+// Levels of children Notion accepts below the blocks of one request (MAX_REQUEST_NESTING_DEPTH)
+const MAX_NESTING = 2;
+
+// Seven levels of bullets, followed by a sibling of the outermost one
+const DEEP_LIST = [
+  ...Array.from({ length: 7 }, (_, level) => `${'  '.repeat(level)}- level ${level}`),
+  '- sibling',
+].join('\n');
+
+/**
+ * Get the text of a block
+ * @param {Object} block - Notion block
+ * @returns {string} Plain text
+ */
+function textOf(block) {
+  return block[block.type].rich_text.map(segment => segment.text.content).join('');
+}
+
+/**
+ * Measure how many levels of children a list of blocks nests
+ * @param {Array<Object>} blocks - Notion blocks
+ * @returns {number} 0 for blocks without children
+ */
+function nestingDepth(blocks) {
+  return Math.max(0, ...blocks.map(block => {
+    const children = block[block.type].children;
+    return children ? 1 + nestingDepth(children) : 0;
+  }));
+}
+
+/**
+ * Reduce blocks to their text and children
+ * @param {Array<Object>} blocks - Notion blocks
+ * @returns {Array<Object>} Items { text, children? }
+ */
+function outline(blocks) {
+  return blocks.map(block => {
+    const children = block[block.type].children;
+    return children?.length ? { text: textOf(block), children: outline(children) } : { text: textOf(block) };
+  });
+}
+
+test('children nested too deep for one request are detached under their parent', () => {
+  const worker = loadServiceWorker();
+  const blocks = worker.markdownToNotionBlocks(DEEP_LIST);
+  const { payload, deferred } = worker.detachDeepChildren(blocks);
+  
+  assert.equal(nestingDepth(toPlain(payload)), MAX_NESTING);
+  assert.deepEqual(outline(toPlain(payload)), [
+    { text: 'level 0', children: [{ text: 'level 1', children: [{ text: 'level 2' }] }] },
+    { text: 'sibling' },
+  ]);
+  
+  // The path leads to the block that held the children
+  assert.equal(deferred.length, 1);
+  assert.deepEqual(toPlain(deferred[0].path), [0, 0, 0]);
+  const parent = deferred[0].path.slice(1).reduce((block, index) => block[block.type].children[index], blocks[0]);
+  assert.equal(textOf(parent), 'level 2');
+  assert.deepEqual(toPlain(deferred[0].children).map(textOf), ['level 3']);
+  
+  // Detached children are split again when they are appended
+  const next = worker.detachDeepChildren(deferred[0].children);
+  assert.ok(nestingDepth(toPlain(next.payload)) <= MAX_NESTING);
+  assert.deepEqual(toPlain(next.deferred.map(entry => entry.path)), [[0, 0, 0]]);
+  assert.deepEqual(toPlain(next.deferred[0].children).map(textOf), ['level 6']);
+});
+
+test('every level of a deep list is appended to the block created for its parent', async () => {
+  // Minimal Notion: appended blocks get ids, children can be listed again
+  const childrenById = new Map([['page-1', []]]);
+  const maxNestingPerRequest = [];
+  let nextId = 0;
+  const create = (parentId, blocks) => blocks.map(block => {
+    const id = `block-${++nextId}`;
+    const { children = [], ...data } = block[block.type];
+    childrenById.set(id, []);
+    childrenById.get(parentId).push({ id, type: block.type, [block.type]: data });
+    create(id, children);
+    return { id };
+  });
+  
+  const worker = loadServiceWorker({
+    fetch: async (url, options) => {
+      const [, blockId] = url.match(/\/blocks\/([^/]+)\/children/);
+      if (options.method === 'GET') {
+        return new Response(JSON.stringify({ results: childrenById.get(blockId), has_more: false }), { status: 200 });
+      }
+      const { children } = JSON.parse(options.body);
+      maxNestingPerRequest.push(nestingDepth(children));
+      return new Response(JSON.stringify({ results: create(blockId, children) }), { status: 200 });
+    },
+  });
+  
+  const failures = await worker.appendBlocksToPage('page-1', worker.markdownToNotionBlocks(DEEP_LIST), 'token');
+  assert.deepEqual(toPlain(failures), []);
+  assert.ok(maxNestingPerRequest.every(depth => depth <= MAX_NESTING), `nesting per request: ${maxNestingPerRequest}`);
+  
+  const readTree = (id) => childrenById.get(id).map(block => {
+    const children = readTree(block.id);
+    return children.length ? { text: textOf(block), children } : { text: textOf(block) };
+  });
+  const expected = worker.markdownToNotionBlocks(DEEP_LIST);
+  assert.deepEqual(readTree('page-1'), outline(toPlain(expected)));
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, toPlain } = require('./helpers');
+
+test('a line wrapped in $$ becomes an equation block', () => {
+  const worker = loadServiceWorker();
+  
+  assert.deepEqual(toPlain(worker.markdownToNotionBlocks('$$ x^2 + y^2 $$')), [
+    { type: 'equation', equation: { expression: 'x^2 + y^2' } },
+  ]);
+});
+
+test('two formulas on one line are not merged into one equation', () => {
+  const worker = loadServiceWorker();
+  const [block, ...rest] = toPlain(worker.markdownToNotionBlocks('$$a$$ and $$b$$'));
+  
+  assert.equal(rest.length, 0);
+  assert.equal(block.type, 'paragraph');
+  assert.equal(block.paragraph.rich_text.map(segment => segment.text.content).join(''), '$$a$$ and $$b$$');
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, toPlain } = require('./helpers');
+
+const DATABASE_ID = '11111111-1111-1111-1111-111111111111';
+const PAGE_ID = '22222222-2222-2222-2222-222222222222';
+
+/**
+ * Create a fake Notion API that only answers reads
+ * @param {Object} responses - Endpoint path -> response body
+ * @returns {{fetch: Function, calls: Array<string>}} fetch and the "METHOD path" of every call
+ */
+function createReadOnlyNotion(responses) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    const endpoint = pathname.replace(/^\/v1/, '');
+    calls.push(`${init.method || 'GET'} ${endpoint}`);
+    
+    if ((init.method || 'GET') !== 'GET' || !responses[endpoint]) {
+      return new Response(JSON.stringify({ code: 'object_not_found', message: 'Not found' }), { status: 404 });
+    }
+    return new Response(JSON.stringify(responses[endpoint]), { status: 200 });
+  };
+  return { fetch, calls };
+}
+
+const DATABASE = {
+  id: DATABASE_ID,
+  title: [{ plain_text: 'Docs' }],
+  properties: {
+    Name: { id: 'title', name: 'Name', type: 'title', title: {} },
+    Owner: { id: 'own', name: 'Owner', type: 'people', people: {} },
+    Tags: { id: 'tag', name: 'Tags', type: 'multi_select', multi_select: { options: [] } },
+  },
+};
+
+const USERS = {
+  results: [{ object: 'user', id: 'user-1', type: 'person', name: 'Jane Doe', person: { email: 'jane@example.com' } }],
+  has_more: false,
+};
+
+test('a dry run for a database entry shows the mapped properties', async () => {
+  const notion = createReadOnlyNotion({ [`/databases/${DATABASE_ID}`]: DATABASE, '/users': USERS });
+  const worker = loadServiceWorker({ fetch: notion.fetch });
+  
+  const report = toPlain(await worker.buildDryRun({
+    title: 'Runbook',
+    markdown: 'Hello',
+    parentPageId: DATABASE_ID,
+    apiToken: 'token',
+    targetType: 'database',
+    propertyMapping: { author: 'Owner', labels: 'Tags' },
+    metadata: { author: { name: 'Jane Doe', email: 'jane@example.com' }, labels: ['ops', 'oncall'] },
+  }));
+  
+  assert.equal(report.mode, 'create');
+  assert.deepEqual(report.requests[0].body.parent, { database_id: DATABASE_ID });
+  assert.deepEqual(report.requests[0].body.properties, {
+    Name: { title: [{ text: { content: 'Runbook' } }] },
+    Owner: { people: [{ id: 'user-1' }] },
+    Tags: { multi_select: [{ name: 'ops' }, { name: 'oncall' }] },
+  });
+  assert.ok(notion.calls.every(call => call.startsWith('GET ')));
+});
+
+test('a dry run for an update removes the current content after appending the new one', async () => {
+  const notion = createReadOnlyNotion({
+    [`/pages/${PAGE_ID}`]: { object: 'page', id: PAGE_ID, parent: { type: 'page_id', page_id: 'parent' } },
+    [`/blocks/${PAGE_ID}/children`]: {
+      results: [
+        { id: 'old-1', type: 'paragraph' },
+        { id: 'child-page', type: 'child_page' },
+        { id: 'old-2', type: 'heading_1' },
+        { id: 'child-database', type: 'child_database' },
+      ],
+      has_more: false,
+    },
+  });
+  const worker = loadServiceWorker({ fetch: notion.fetch });
+  
+  const report = toPlain(await worker.buildDryRun({
+    title: 'Runbook',
+    markdown: 'Hello',
+    parentPageId: 'parent',
+    apiToken: 'token',
+    updatePageId: PAGE_ID,
+    targetType: 'page',
+  }));
+  
+  assert.equal(report.mode, 'update');
+  // Child pages and databases are kept
+  assert.deepEqual(report.requests.map(request => `${request.method} ${request.endpoint}`), [
+    `PATCH /pages/${PAGE_ID}`,
+    `PATCH /blocks/${PAGE_ID}/children`,
+    'DELETE /blocks/old-1',
+    'DELETE /blocks/old-2',
+  ]);
+  assert.ok(notion.calls.every(call => call.startsWith('GET ')));
+});
+
+test('a dry run for a page that is gone plans a new page', async () => {
+  const notion = createReadOnlyNotion({});
+  const worker = loadServiceWorker({ fetch: notion.fetch });
+  
+  const report = toPlain(await worker.buildDryRun({
+    title: 'Runbook',
+    markdown: 'Hello',
+    parentPageId: 'parent',
+    apiToken: 'token',
+    updatePageId: PAGE_ID,
+    targetType: 'page',
+  }));
+  
+  assert.equal(report.mode, 'create');
+  assert.equal(report.requests[0].endpoint, '/pages');
+  assert.ok(report.warnings.some(warning => warning.includes('new page')));
+});
@@ -0,0 +1,112 @@
+/**
+ * Load the extension scripts outside the browser for tests
+ * The service worker runs in a VM context with a minimal chrome API, the
+ * content scripts in jsdom on a Confluence-like page
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const SRC = path.join(__dirname, '..', 'src');
+
+/**
+ * Create an in-memory chrome.storage area
+ * @returns {Object} Storage area with get, set and remove
+ */
+function createStorageArea() {
+  const items = {};
+  return {
+    async get(keys) {
+      const names = keys == null ? Object.keys(items) : [].concat(keys);
+      return Object.fromEntries(names.filter(name => name in items).map(name => [name, structuredClone(items[name])]));
+    },
+    async set(values) {
+      Object.assign(items, structuredClone(values));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(name => delete items[name]);
+    },
+  };
+}
+
+/**
+ * Load the service worker
+ * @param {Object} [options] - Options
+ * @param {Function} [options.fetch] - fetch used for Notion requests
+ * @returns {Object} The worker's global scope
+ */
+function loadServiceWorker({ fetch = () => Promise.reject(new Error('Network disabled in tests')) } = {}) {
+  const listener = { addListener() {} };
+  const context = {
+    chrome: {
+      runtime: { onMessage: listener, onConnect: listener, onStartup: listener, onInstalled: listener, getURL: file => file },
+      storage: { local: createStorageArea(), sync: createStorageArea(), session: createStorageArea() },
+    },
+    console: { log() {}, warn() {}, error() {}, info() {}, debug() {} },
+    fetch,
+    importScripts() {},
+    setTimeout,
+    clearTimeout,
+    URL,
+    AbortController,
+    Blob,
+    FormData,
+    Headers,
+    Response,
+    TextEncoder,
+    structuredClone,
+  };
+  context.self = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(SRC, 'background', 'service-worker.js'), 'utf8'), context, {
+    filename: 'service-worker.js',
+  });
+  return context;
+}
+
+/**
+ * Load a Confluence-like page with the content scripts
+ * @param {string} bodyHtml - HTML of the page content
+ * @param {string} [pageHtml] - HTML around the content, such as the labels section
+ * @returns {Object} The page's window
+ */
+function loadConfluencePage(bodyHtml, pageHtml = '') {
+  const dom = new JSDOM(
+    `<html><head><title>Page</title></head><body><div id="main-content"><h1 id="title-text">Page</h1><div class="wiki-content">${bodyHtml}</div></div>${pageHtml}</body></html>`,
+    { url: 'https://example.atlassian.net/wiki/spaces/S/pages/1/Page', runScripts: 'outside-only' }
+  );
+  const { window } = dom;
+  window.console.log = () => {};
+  window.console.warn = () => {};
+  window.chrome = { runtime: { onMessage: { addListener() {} }, sendMessage() {} } };
+  
+  ['lib/turndown.js', 'lib/turndown-plugin-gfm.js', 'content/confluence-parser.js', 'content/content-script.js']
+    .forEach(file => window.eval(fs.readFileSync(path.join(SRC, file), 'utf8')));
+  
+  return window;
+}
+
+/**
+ * Convert the HTML of a Confluence page body to Markdown with the content scripts
+ * @param {string} bodyHtml - HTML of the page content
+ * @returns {string} Markdown
+ */
+function convertConfluenceHtml(bodyHtml) {
+  const result = loadConfluencePage(bodyHtml).eval('handleGetMarkdown()');
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.markdown;
+}
+
+/**
+ * Copy a value out of the worker's realm so deepEqual compares plain objects
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Copy
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadServiceWorker, loadConfluencePage, convertConfluenceHtml, toPlain };
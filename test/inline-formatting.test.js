@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, convertConfluenceHtml } = require('./helpers');
+
+const worker = loadServiceWorker();
+
+/**
+ * Convert a Confluence paragraph and return the rich text of the Notion block
+ * @param {string} html - Inline HTML of the paragraph
+ * @returns {Array<Object>} Segments { text, annotations, url } or { equation }
+ */
+function convertParagraph(html) {
+  const markdown = convertConfluenceHtml(`<p>${html}</p>`);
+  const { blocks } = worker.buildPageBlocks(markdown);
+  // Copy out of the worker's realm so deepEqual compares plain objects
+  return JSON.parse(JSON.stringify(blocks[0].paragraph.rich_text)).map(segment => (
+    segment.type === 'equation'
+      ? { equation: segment.equation.expression }
+      : { text: segment.text.content, annotations: segment.annotations || {}, url: segment.text.link?.url || null }
+  ));
+}
+
+test('bold underlined link keeps all three', () => {
+  assert.deepEqual(convertParagraph('<b><u><a href="https://example.com/">docs</a></u></b>'), [
+    { text: 'docs', annotations: { bold: true, underline: true }, url: 'https://example.com/' },
+  ]);
+});
+
+test('superscript uses Unicode characters when all of them have one', () => {
+  assert.deepEqual(convertParagraph('E=mc<sup>2</sup>'), [
+    { text: 'E=mc', annotations: {}, url: null },
+    { text: '²', annotations: {}, url: null },
+  ]);
+});
+
+test('superscript without Unicode characters falls back to an equation', () => {
+  assert.deepEqual(convertParagraph('q<sup>q_1 ^</sup>'), [
+    { text: 'q', annotations: {}, url: null },
+    { equation: '{}^{\\text{q\\_1 \\textasciicircum{}}}' },
+  ]);
+});
+
+test('subscript without Unicode characters falls back to an equation', () => {
+  assert.deepEqual(convertParagraph('x<sub>Q</sub>'), [
+    { text: 'x', annotations: {}, url: null },
+    { equation: '{}_{\\text{Q}}' },
+  ]);
+});
+
+test('text color around an underline applies to the underlined text', () => {
+  assert.deepEqual(convertParagraph('<span style="color: rgb(222, 53, 11);"><u>late</u></span>'), [
+    { text: 'late', annotations: { color: 'red', underline: true }, url: null },
+  ]);
+});
+
+test('escaped underscores in link text stay literal', () => {
+  assert.deepEqual(convertParagraph('<a href="https://x.com/">snake_case_name</a> and a_b_c'), [
+    { text: 'snake_case_name', annotations: {}, url: 'https://x.com/' },
+    { text: ' and a_b_c', annotations: {}, url: null },
+  ]);
+});
+
+test('a color nested in another color ends where it ends', () => {
+  assert.deepEqual(convertParagraph(
+    '<span style="color: rgb(222, 53, 11);">x <span style="color: rgb(0, 82, 204);">y</span> z</span>'
+  ), [
+    { text: 'x ', annotations: { color: 'red' }, url: null },
+    { text: 'y', annotations: { color: 'blue' }, url: null },
+    { text: ' z', annotations: { color: 'red' }, url: null },
+  ]);
+});
+
+test('a color nested in the same color leaves no markers behind', () => {
+  assert.deepEqual(convertParagraph(
+    '<span style="color: rgb(222, 53, 11);">x <span style="color: rgb(222, 53, 11);">y</span> z</span>'
+  ), [
+    { text: 'x y z', annotations: { color: 'red' }, url: null },
+  ]);
+});
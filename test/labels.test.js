@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfluencePage } = require('./helpers');
+
+const LABELS_SECTION = `
+  <div id="labels-section">
+    <ul class="label-list">
+      <li><a class="label" href="/wiki/label/S/runbook">runbook</a></li>
+      <li><a href="/wiki/label/S/ops">ops</a></li>
+    </ul>
+  </div>`;
+
+test('labels are read from the labels section', () => {
+  const window = loadConfluencePage('<p>Body</p>', LABELS_SECTION);
+  
+  assert.deepEqual([...window.eval('extractLabels()')], ['runbook', 'ops']);
+});
+
+test('label links in the page body are not taken for labels', () => {
+  const window = loadConfluencePage(
+    '<p>See <a href="/wiki/label/S/deprecated">everything marked deprecated</a>.</p>',
+    LABELS_SECTION
+  );
+  
+  assert.deepEqual([...window.eval('extractLabels()')], ['runbook', 'ops']);
+});
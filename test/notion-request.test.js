@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker } = require('./helpers');
+
+/**
+ * Create a 429 response asking to wait
+ * @param {string} retryAfter - Retry-After header value
+ * @returns {Response} Response
+ */
+function rateLimited(retryAfter) {
+  return new Response(JSON.stringify({ code: 'rate_limited', message: 'Rate limited' }), {
+    status: 429,
+    headers: { 'Retry-After': retryAfter },
+  });
+}
+
+test('Retry-After is honored even when it is longer than the backoff cap', () => {
+  const worker = loadServiceWorker();
+  
+  assert.equal(worker.getRetryDelay(0, rateLimited('120')), 120000);
+  assert.equal(worker.getRetryDelay(4, rateLimited('0')), 0);
+  // Without Retry-After the backoff stays capped
+  assert.ok(worker.getRetryDelay(10, null) <= 30000);
+});
+
+test('a cancelled request stops waiting for the rate limit window', async () => {
+  let fetches = 0;
+  const worker = loadServiceWorker({
+    fetch: async () => {
+      fetches++;
+      return rateLimited('60');
+    },
+  });
+  const controller = new AbortController();
+  const options = { signal: controller.signal };
+  
+  // The first request opens a 60 s window; the second waits for it in the queue
+  const first = worker.notionRequest('/pages/a', 'GET', null, 'token', options);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const second = worker.notionRequest('/pages/b', 'GET', null, 'token', options);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  
+  const cancelledAt = Date.now();
+  controller.abort();
+  
+  await assert.rejects(first, error => error.cancelled === true);
+  await assert.rejects(second, error => error.cancelled === true);
+  assert.ok(Date.now() - cancelledAt < 1000);
+  assert.equal(fetches, 1);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker } = require('./helpers');
+
+const PAGE_ID = 'page-1';
+
+/**
+ * Create a fake Notion API holding a page with old content
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.failAppend] - Answer appends with a server error
+ * @returns {{fetch: Function, calls: Array<string>}} fetch and the "METHOD path" of every call
+ */
+function createNotion({ failAppend = false } = {}) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    const endpoint = new URL(url).pathname.replace(/^\/v1/, '');
+    calls.push(`${init.method} ${endpoint}`);
+    
+    if (init.method === 'GET') {
+      return new Response(JSON.stringify({
+        results: [{ id: 'old-1', type: 'paragraph' }, { id: 'sub-page', type: 'child_page' }, { id: 'old-2', type: 'paragraph' }],
+        has_more: false,
+      }), { status: 200 });
+    }
+    if (init.method === 'PATCH' && endpoint.endsWith('/children')) {
+      if (failAppend) {
+        return new Response(JSON.stringify({ code: 'internal_server_error', message: 'Unexpected error' }), { status: 500 });
+      }
+      const { children } = JSON.parse(init.body);
+      return new Response(JSON.stringify({ results: children.map((block, index) => ({ id: `new-${index}` })) }), { status: 200 });
+    }
+    return new Response(JSON.stringify({ object: 'page', id: PAGE_ID, url: 'https://notion.so/page-1' }), { status: 200 });
+  };
+  return { fetch, calls };
+}
+
+test('an update removes the old content only after the new content is appended', async () => {
+  const notion = createNotion();
+  const worker = loadServiceWorker({ fetch: notion.fetch });
+  
+  await worker.updateNotionPage({ pageId: PAGE_ID, title: 'Runbook', markdown: 'New content', apiToken: 'token' });
+  
+  assert.deepEqual(notion.calls, [
+    `GET /blocks/${PAGE_ID}/children`,
+    `PATCH /pages/${PAGE_ID}`,
+    `PATCH /blocks/${PAGE_ID}/children`,
+    'DELETE /blocks/old-1',
+    'DELETE /blocks/old-2',
+  ]);
+  assert.equal(await worker.loadImportJob(), null);
+});
+
+test('a failed update keeps the old content and the blocks to remove for a resume', async () => {
+  const notion = createNotion({ failAppend: true });
+  const worker = loadServiceWorker({ fetch: notion.fetch });
+  
+  await assert.rejects(
+    worker.updateNotionPage({ pageId: PAGE_ID, title: 'Runbook', markdown: 'New content', apiToken: 'token' })
+  );
+  
+  assert.ok(notion.calls.every(call => !call.startsWith('DELETE ')));
+  const { job } = await worker.loadImportJob();
+  assert.equal(job.status, 'failed');
+  assert.deepEqual([...job.replacedBlockIds], ['old-1', 'old-2']);
+});